@@ -38,9 +38,13 @@ var config = [
     "packagePath": "./plugins/apikeys",
     "file": __dirname + '/' + configs.apikeys
   },
+  {
+    "packagePath": "./plugins/validator"
+  },
   {
     "packagePath": "./plugins/socket",
-    "secret": configs.secret
+    "secret": configs.secret,
+    "node": configs.node
   },
   {
     "packagePath": "./plugins/auth",
@@ -51,10 +55,37 @@ var config = [
     "packagePath": "./plugins/client"
   },
   {
-    "packagePath": "./plugins/screen"
+    "packagePath": "./plugins/screen",
+    "ackTimeout": configs.ackTimeout
+  },
+  {
+    "packagePath": "./plugins/channel",
+    "history": configs.channelHistory,
+    "media": configs.channelMedia
+  },
+  {
+    "packagePath": "./plugins/stats",
+    "retention": configs.stats ? configs.stats.retention : undefined
+  },
+  {
+    "packagePath": "./plugins/clientlog",
+    "max": configs.clientLogs
+  },
+  {
+    "packagePath": "./plugins/screenshot",
+    "keep": configs.screenshots ? configs.screenshots.keep : undefined,
+    "maxSize": configs.screenshots ? configs.screenshots.maxSize : undefined
+  },
+  {
+    "packagePath": "./plugins/broadcast",
+    "audit": configs.broadcast ? configs.broadcast.audit : undefined
   },
   {
-    "packagePath": "./plugins/channel"
+    "packagePath": "./plugins/cap",
+    "token": configs.cap ? configs.cap.token : undefined,
+    "mappings": configs.cap ? configs.cap.mappings : undefined,
+    "status": configs.cap ? configs.cap.status : undefined,
+    "language": configs.cap ? configs.cap.language : undefined
   },
   {
     "packagePath": "./plugins/api",
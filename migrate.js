@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * Adds the configured cache prefix (cache.prefix in config.json) to the keys
+ * of an installation that have been running without a prefix.
+ *
+ * Usage: node migrate.js [--dry-run]
+ */
+
+var architect = require("architect");
+
+// Load config file.
+var configs = require(__dirname + '/config.json');
+
+// The keys stored by the middleware.
+var patterns = [
+  'screen:*',
+  'channel:*',
+  'activation:*',
+  'heartbeat:*',
+  'queue:*',
+  'delivery:*',
+  'stats:*',
+  'schedule:*',
+  'history:*',
+  'broadcast:*',
+  'cap:*',
+  'group:*',
+  'client:*',
+  'clientlog:*',
+  'screenshot:*'
+];
+
+var dryRun = process.argv.indexOf('--dry-run') !== -1;
+
+// Only the plugins needed to access the cache.
+var config = [
+  {
+    "packagePath": "./plugins/logger",
+    "logs": configs.logs
+  },
+  {
+    "packagePath": "./plugins/cache",
+    "config": configs.cache
+  }
+];
+
+config = architect.resolveConfig(config, __dirname);
+architect.createApp(config, function (err, app) {
+  "use strict";
+
+  if (err) {
+    throw err;
+  }
+
+  var cache = app.getService('cache');
+  cache.migratePrefix(patterns, dryRun).then(
+    function (result) {
+      console.log((dryRun ? 'Keys to rename: ' : 'Renamed keys: ') + result.renamed.length);
+      if (result.skipped.length) {
+        console.log('Skipped (prefixed key exists): ' + result.skipped.join(', '));
+      }
+
+      cache.disconnect();
+      process.exit(0);
+    },
+    function (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  );
+});
@@ -18,10 +18,16 @@
  *   Screen object.
  * @param Channel
  *   Channel object.
+ * @param broadcast
+ *   Broadcast object.
+ * @param clientLog
+ *   Client log object.
+ * @param screenshot
+ *   Screenshot object.
  *
  * @constructor
  */
-var Admin = function Admin(app, logger, apikeys, cache, Screen, Channel, options) {
+var Admin = function Admin(app, logger, apikeys, cache, Screen, Channel, broadcast, clientLog, screenshot, options) {
   "use strict";
 
   var self = this;
@@ -30,6 +36,7 @@ var Admin = function Admin(app, logger, apikeys, cache, Screen, Channel, options
 
   this.expressJwt = require('express-jwt');
   this.Q = require('q');
+  var crypto = require('crypto');
 
   /**
    * Default get request.
@@ -158,8 +165,24 @@ var Admin = function Admin(app, logger, apikeys, cache, Screen, Channel, options
     }
   });
 
+  /**
+   * Get cache connection status.
+   */
+  app.get('/api/admin/status/cache', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      res.json(self.cache.status());
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
   /**
    * Get all heartbeats.
+   *
+   * Use the query parameter "before" (unix timestamp) to only get screens
+   * that have not been seen since then. The client information reported by
+   * each screen is included.
    */
   app.get('/api/admin/status/heartbeats/:apikey', this.expressJwt({"secret": options.secret}), function (req, res) {
     if (self.validateCall(req)) {
@@ -169,71 +192,46 @@ var Admin = function Admin(app, logger, apikeys, cache, Screen, Channel, options
         "beats": []
       };
 
-      self.cache.membersOfSet('screen:' + apikey, function (err, screens) {
-        if (err) {
-          self.logger.error(err.message);
+      // Load all screens under the api-key or the screens not seen since the
+      // time given.
+      var promise;
+      if (req.query.hasOwnProperty('before')) {
+        var before = parseInt(req.query.before, 10);
+        if (!isFinite(before)) {
+          res.status(400).send('"before" should be an unix timestamp.');
+          return;
         }
-        else {
-          // Start promise group to load all screens under the api-key.
-          self.Q()
-            .then(function () {
-              var screenPromises = [];
 
-              // Loop over screens and build promises array.
-              for (var i in screens) {
-                screenPromises.push(loadScreen(apikey, screens[i]));
-              }
+        promise = Screen.loadNotSeenSince(apikey, before);
+      }
+      else {
+        promise = Screen.loadAll(apikey);
+      }
 
-              return screenPromises;
-            })
-            .all()
-            .then(function (results) {
-              data.beats = results;
-              res.send(data);
-            },
-            function (error) {
-              res.status(500).send(error.message);
-            }
-          )
+      self.Q.all([promise, Screen.clients(apikey)]).spread(
+        function (screens, clients) {
+          data.beats = screens.map(function (screenObj) {
+            return {
+              "id": screenObj.id,
+              "title": screenObj.title,
+              "heartbeat": screenObj.heartbeat,
+              "groups": screenObj.groups,
+              "client": clients[screenObj.id] || null
+            };
+          });
+          res.send(data);
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
         }
-      });
+      );
     }
     else {
       res.status(401).send('You do not have the right role.');
     }
   });
 
-  /**
-   * Helper function to load a screen.
-   *
-   * @param apikey
-   *   API-key for the screen to load.
-   * @param screenId
-   *   The id of screen to load.
-   *
-   * @returns {*}
-   */
-  function loadScreen(apikey, screenId) {
-    var deferred = self.Q.defer();
-
-    var screen = new Screen(apikey, screenId);
-    screen.load().then(
-      function (screenObj) {
-        deferred.resolve({
-          "id": screenObj.id,
-          "title": screenObj.title,
-          "heartbeat": screenObj.heartbeat
-        })
-      },
-      function (error) {
-        self.logger.error(error.message);
-        deferred.reject(error.message);
-      }
-    );
-
-    return deferred.promise;
-  }
-
   /**
    * Get status for all channels.
    */
@@ -245,33 +243,132 @@ var Admin = function Admin(app, logger, apikeys, cache, Screen, Channel, options
         "channels": []
       };
 
-      self.cache.membersOfSet('channel:' + apikey, function (err, channels) {
-        if (err) {
-          self.logger.error(err.message);
+      // Load all channels under the api-key.
+      Channel.loadAll(apikey).then(
+        function (channels) {
+          data.channels = channels.map(function (channelObj) {
+            return {
+              "id": channelObj.id,
+              "title": channelObj.title,
+              "screens": channelObj.screens,
+              "groups": channelObj.groups
+            };
+          });
+          res.send(data);
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
         }
-        else {
-          // Start promise group to load all channels under the api-key.
-          self.Q()
-            .then(function () {
-              var channelPromises = [];
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
 
-              // Loop over channels and build promises array.
-              for (var i in channels) {
-                channelPromises.push(loadChannel(apikey, channels[i]));
-              }
+  /**
+   * Get the events queued for screens that are not connected.
+   */
+  app.get('/api/admin/status/queues/:apikey', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var apikey = req.params.apikey;
 
-              return channelPromises;
-            })
-            .all()
-            .then(function (results) {
-              data.channels = results;
-              res.send(data);
-            },
-            function (error) {
-              res.status(500).send(error.message);
+      Screen.queues(apikey).then(
+        function (queues) {
+          res.send({
+            "apikey": apikey,
+            "screens": queues
+          });
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Get the events queued for a screen.
+   */
+  app.get('/api/admin/:apikey/screen/:id/queue', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var screen = new Screen(req.params.apikey, req.params.id);
+      screen.queued().then(
+        function (events) {
+          res.send({
+            "apikey": req.params.apikey,
+            "id": req.params.id,
+            "events": events
+          });
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Get the versions kept in a channel's history.
+   */
+  app.get('/api/admin/:apikey/channel/:id/versions', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var channel = new Channel(req.params.apikey, req.params.id);
+      channel.load().then(
+        function (obj) {
+          return obj.versions().then(function (versions) {
+            res.send({
+              "apikey": req.params.apikey,
+              "id": obj.id,
+              "version": obj.version,
+              "versions": versions
+            });
+          });
+        }
+      ).fail(function (error) {
+        self.logger.error(error.message);
+        res.status(500).send(error.message);
+      });
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Get the difference between two versions of a channel.
+   */
+  app.get('/api/admin/:apikey/channel/:id/diff', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      if (!req.query.from) {
+        res.status(400).send('Missing "from" version.');
+        return;
+      }
+
+      var channel = new Channel(req.params.apikey, req.params.id);
+      channel.load().then(
+        function (obj) {
+          return obj.diff(req.query.from, req.query.to).then(function (result) {
+            if (result === null) {
+              res.status(404).send('Version not found in the channel history.');
+            }
+            else {
+              res.send(result);
             }
-          )
+          });
         }
+      ).fail(function (error) {
+        self.logger.error(error.message);
+        res.status(500).send(error.message);
       });
     }
     else {
@@ -280,45 +377,426 @@ var Admin = function Admin(app, logger, apikeys, cache, Screen, Channel, options
   });
 
   /**
-   * Helper function to load a channel
+   * Roll a channel back to a version and push it to the screens.
+   */
+  app.post('/api/admin/:apikey/channel/:id/rollback', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      if (!req.body.version) {
+        res.status(400).send('Missing version.');
+        return;
+      }
+
+      var channel = new Channel(req.params.apikey, req.params.id);
+      channel.load().then(
+        function (obj) {
+          return obj.rollback(req.body.version).then(function (result) {
+            if (result === null) {
+              res.status(404).send('Version not found in the channel history.');
+            }
+            else {
+              self.logger.info('Admin: channel "' + obj.key + '" rolled back.');
+              res.sendStatus(200);
+            }
+          });
+        }
+      ).fail(function (error) {
+        self.logger.error(error.message);
+        res.status(500).send(error.message);
+      });
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Get the active broadcasts.
+   */
+  app.get('/api/admin/broadcasts', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      broadcast.active().then(
+        function (broadcasts) {
+          res.send(broadcasts);
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Get the broadcast audit log.
+   */
+  app.get('/api/admin/broadcasts/audit', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      broadcast.auditLog().then(
+        function (entries) {
+          res.send(entries);
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Push a broadcast to the screens of some or all API keys.
    *
-   * @param apikey
-   *   API-key for the channel to load.
-   * @param channelId
-   *   The ID of the channel to load.
+   * Without "apikeys" in the body every installation is targeted. "screens"
+   * can only be used with a single API key.
+   */
+  app.post('/api/admin/broadcast', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var message = broadcast.validate(req.body);
+      var keys = req.body.apikeys || null;
+      if (message === null && keys !== null && (!Array.isArray(keys) || !keys.length)) {
+        message = 'Broadcast "apikeys" should be a non empty array.';
+      }
+      if (message === null && (req.body.screens || req.body.groups) && (keys === null || keys.length !== 1)) {
+        message = 'Broadcast "screens" and "groups" can only be used with a single API key.';
+      }
+      if (message !== null) {
+        res.status(400).send(message);
+        return;
+      }
+
+      broadcast.create(req.body, keys, 'admin').then(
+        function (created) {
+          res.send(created);
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Clear a broadcast.
+   */
+  app.delete('/api/admin/broadcast/:id', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      broadcast.clear(req.params.id, 'admin').then(
+        function (cleared) {
+          if (cleared === null) {
+            res.status(404).send('Broadcast not found.');
+          }
+          else {
+            res.send('Broadcast "' + cleared.id + '" cleared.');
+          }
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Reload screen.
+   */
+  app.get('/api/admin/:apikey/screen/:id/reload', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var screen = new Screen(req.params.apikey, req.params.id);
+      screen.reload();
+
+      res.sendStatus(200);
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Get the log entries sent by a screen (newest first).
    *
-   * @returns {*}
+   * Use the query parameter "count" to limit the number of entries.
+   */
+  app.get('/api/admin/:apikey/screen/:id/logs', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      clientLog.get(req.params.apikey, req.params.id, parseInt(req.query.count, 10) || undefined).then(
+        function (entries) {
+          res.send({
+            "apikey": req.params.apikey,
+            "id": req.params.id,
+            "entries": entries
+          });
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Remove the log entries sent by a screen.
    */
-  function loadChannel(apikey, channelId) {
-    var deferred = self.Q.defer();
-
-    var channel = new Channel(apikey, channelId);
-    channel.load().then(
-      function (channelObj) {
-        deferred.resolve({
-          "id": channelObj.id,
-          "title": channelObj.title,
-          "screens": channelObj.screens
+  app.delete('/api/admin/:apikey/screen/:id/logs', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      clientLog.remove(req.params.apikey, req.params.id).then(
+        function () {
+          res.sendStatus(200);
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Get a ticket to stream the log entries sent by a screen.
+   *
+   * EventSource can not send headers, so the stream is opened with a single
+   * use ticket in the URL instead of the token. The ticket expires after a
+   * minute.
+   */
+  app.post('/api/admin/:apikey/screen/:id/logs/ticket', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var ticket = crypto.randomBytes(16).toString('hex');
+      var value = JSON.stringify({
+        "apikey": req.params.apikey,
+        "id": req.params.id
+      });
+
+      self.cache.setExpire('logticket:' + ticket, value, 60).then(
+        function () {
+          res.json({ "ticket": ticket });
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Stream the log entries sent by a screen as server-sent events.
+   *
+   * Each event has the entries of a batch (oldest first) as data. The stream
+   * is opened with a ticket (see above) in the query parameter "ticket".
+   */
+  app.get('/api/admin/:apikey/screen/:id/logs/stream', function (req, res) {
+    var ticket = String(req.query.ticket || '');
+    if (!/^[0-9a-f]{32}$/.test(ticket)) {
+      res.status(401).send('Missing or invalid ticket.');
+      return;
+    }
+
+    // Read and remove the ticket, so it can only be used once.
+    var key = 'logticket:' + ticket;
+    self.cache.transaction([['get', key], ['del', key]]).then(
+      function (results) {
+        var value = typeof results[0] === 'string' ? JSON.parse(results[0]) : null;
+        if (value === null || value.apikey !== req.params.apikey || value.id !== req.params.id) {
+          res.status(401).send('Missing or invalid ticket.');
+          return;
+        }
+
+        res.writeHead(200, {
+          "Content-Type": 'text/event-stream',
+          "Cache-Control": 'no-cache',
+          "Connection": 'keep-alive'
+        });
+        res.write(': following ' + req.params.apikey + ':' + req.params.id + '\n\n');
+
+        var stop = clientLog.follow(req.params.apikey, req.params.id, function (entries) {
+          res.write('data: ' + JSON.stringify(entries) + '\n\n');
+        });
+
+        // Keep proxies from closing the connection.
+        var keepAlive = setInterval(function () {
+          res.write(': keep-alive\n\n');
+        }, 30000);
+
+        req.on('close', function () {
+          clearInterval(keepAlive);
+          stop();
         });
       },
       function (error) {
         self.logger.error(error.message);
-        deferred.reject(error.message);
+        res.status(500).send(error.message);
       }
     );
+  });
 
-    return deferred.promise;
-  }
+  /**
+   * Turn debug logging on or off on a screen.
+   */
+  app.get('/api/admin/:apikey/screen/:id/debug/:state(on|off)', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var screen = new Screen(req.params.apikey, req.params.id);
+      screen.debug(req.params.state === 'on').then(function (sent) {
+        if (sent) {
+          res.sendStatus(200);
+        }
+        else {
+          res.status(404).send('Screen connection could not be found.');
+        }
+      });
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
 
   /**
-   * Reload screen.
+   * Send screenshot command to a screen.
    */
-  app.get('/api/admin/:apikey/screen/:id/reload', this.expressJwt({"secret": options.secret}), function (req, res) {
+  app.get('/api/admin/:apikey/screen/:id/screenshot', this.expressJwt({"secret": options.secret}), function (req, res) {
     if (self.validateCall(req)) {
       var screen = new Screen(req.params.apikey, req.params.id);
-      screen.reload();
+      screen.screenshot().then(function (sent) {
+        if (sent) {
+          res.sendStatus(200);
+        }
+        else {
+          res.status(404).send('Screen connection could not be found.');
+        }
+      });
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
 
-      res.sendStatus(200);
+  /**
+   * Get the screenshots kept for a screen (newest first, images as data
+   * urls).
+   */
+  app.get('/api/admin/:apikey/screen/:id/screenshots', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      screenshot.list(req.params.apikey, req.params.id).then(
+        function (screenshots) {
+          res.send({
+            "apikey": req.params.apikey,
+            "id": req.params.id,
+            "screenshots": screenshots
+          });
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Set the groups of a screen.
+   *
+   * The channels of the groups joined are pushed to the screen and the
+   * channels of the groups left are removed from it.
+   */
+  app.put('/api/admin/:apikey/screen/:id/groups', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var groups = req.body.groups;
+      if (!Array.isArray(groups) || !groups.every(Screen.isGroupName)) {
+        res.status(400).send('Groups should be an array of names (letters, digits, "-" and "_").');
+        return;
+      }
+
+      var screen = new Screen(req.params.apikey, req.params.id);
+      screen.load().then(function (obj) {
+        return obj.setGroups(groups).then(function (changes) {
+          Channel.updateScreenGroups(obj, changes).fail(function (error) {
+            self.logger.error('Admin: group channels could not be updated for "' + obj.key + '" "' + error.message + '"');
+          });
+
+          res.send({
+            "id": obj.id,
+            "groups": obj.groups
+          });
+        });
+      }).fail(function (error) {
+        self.logger.error(error.message);
+        res.status(500).send(error.message);
+      });
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Get the screen groups of an API key.
+   */
+  app.get('/api/admin/:apikey/groups', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      Screen.groups(req.params.apikey).then(
+        function (groups) {
+          res.send({
+            "apikey": req.params.apikey,
+            "groups": groups
+          });
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+    else {
+      res.status(401).send('You do not have the right role.');
+    }
+  });
+
+  /**
+   * Reload or logout all screens in a group.
+   */
+  app.get('/api/admin/:apikey/group/:name/:action(reload|logout)', this.expressJwt({"secret": options.secret}), function (req, res) {
+    if (self.validateCall(req)) {
+      var action = req.params.action;
+      Screen.loadGroup(req.params.apikey, req.params.name).then(function (screens) {
+        return self.Q.all(screens.map(function (screen) {
+          return action === 'reload' ? screen.reload() : screen.remove();
+        })).then(function () {
+          self.logger.info('Admin: ' + action + ' sent to group "' + req.params.name + '" of "' + req.params.apikey + '".');
+          res.send({
+            "screens": screens.map(function (screen) {
+              return screen.id;
+            })
+          });
+        });
+      }).fail(function (error) {
+        self.logger.error(error.message);
+        res.status(500).send(error.message);
+      });
     }
     else {
       res.status(401).send('You do not have the right role.');
@@ -366,7 +844,7 @@ module.exports = function (options, imports, register) {
   "use strict";
 
   // Create the API routes using the API object.
-  var admin = new Admin(imports.app, imports.logger, imports.apikeys, imports.cache, imports.screen, imports.channel, options);
+  var admin = new Admin(imports.app, imports.logger, imports.apikeys, imports.cache, imports.screen, imports.channel, imports.broadcast, imports.clientlog, imports.screenshot, options);
 
   // This plugin extends the server plugin and do not provide new services.
   register(null, null);
@@ -14,6 +14,10 @@ module.exports = function (options, imports, register) {
   // Injections objects
   var Channel = imports.channel;
   var Screen = imports.screen;
+  var Stats = imports.stats;
+  var Broadcast = imports.broadcast;
+  var Validator = imports.validator;
+  var Screenshot = imports.screenshot;
 
   var expressJwt = require('express-jwt');
 
@@ -34,34 +38,19 @@ module.exports = function (options, imports, register) {
     var self = this;
 
     /**
-    * Helper function to load a channel
+    * Helper function to get the status information about a channel.
     *
-    * @param apikey
-    *   API-key for the channel to load.
-    * @param channelId
-    *   The ID of the channel to load.
+    * @param channel
+    *   The loaded channel object.
     *
-    * @returns {*}
+    * @returns {object}
     */
-    function loadChannel(apikey, channelId) {
-      var deferred = self.Q.defer();
-
-      var channel = new Channel(apikey, channelId);
-      channel.load().then(
-        function (channelObj) {
-          deferred.resolve({
-            "id": channelObj.id,
-            "title": channelObj.title,
-            "screens": channelObj.screens
-          });
-        },
-        function (error) {
-          self.logger.error(error.message);
-          deferred.reject(error.message);
-        }
-      );
-
-      return deferred.promise;
+    function channelStatus(channel) {
+      return {
+        "id": channel.id,
+        "title": channel.title,
+        "screens": channel.screens
+      };
     }
 
     /**
@@ -81,35 +70,17 @@ module.exports = function (options, imports, register) {
         'channels': []
       };
 
-      self.cache.membersOfSet('channel:' + apikey, function (err, channels) {
-        if (err) {
-          self.logger.error(err.message);
-        }
-        else {
-          // Start promise group to load all channels under the api-key.
-          self.Q()
-            .then(function () {
-              var channelPromises = [];
-
-              // Loop over channels and build promises array.
-              for (var i in channels) {
-                channelPromises.push(loadChannel(apikey, channels[i]));
-              }
-
-              return channelPromises;
-            })
-            .all()
-            .then(
-              function (results) {
-                data.channels = results;
-                res.send(data);
-              },
-              function (error) {
-                res.status(500).send(error.message);
-              }
-            );
+      // Load all channels under the api-key.
+      Channel.loadAll(apikey).then(
+        function (channels) {
+          data.channels = channels.map(channelStatus);
+          res.send(data);
+        },
+        function (error) {
+          self.logger.error(error.message);
+          res.status(500).send(error.message);
         }
-      });
+      );
     });
 
     /**
@@ -146,7 +117,7 @@ module.exports = function (options, imports, register) {
     /**
      * Screen: update.
      */
-    this.app.put('/api/screen/:id', expressJwt({"secret": options.secret}), function (req, res) {
+    this.app.put('/api/screen/:id', expressJwt({"secret": options.secret}), Validator.middleware('screen'), function (req, res) {
       var profile = req.user;
 
       if (req.params.hasOwnProperty('id') && req.body.hasOwnProperty('title')) {
@@ -159,9 +130,10 @@ module.exports = function (options, imports, register) {
             obj.options = req.body.options;
             obj.template = req.body.template;
 
-            // Try to save the screen.
+            // Try to save the screen, then let it know about the changes.
             obj.save().then(
               function () {
+                obj.sendSettings();
                 res.sendStatus(200);
               },
               function (error) {
@@ -180,6 +152,62 @@ module.exports = function (options, imports, register) {
       }
     });
 
+    /**
+     * Screens: find the screens running a player older than a version.
+     *
+     * The version is given in the "version" query parameter (e.g. "5.1.0").
+     */
+    this.app.get('/api/screens/outdated', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+      if (!req.query.version || !/^\d+(\.\d+)*(-[\w.]+)?$/.test(req.query.version)) {
+        res.status(400).send('Missing or invalid "version" parameter.');
+        return;
+      }
+
+      Screen.outdated(profile.apikey, req.query.version).then(
+        function (result) {
+          res.send({
+            "version": req.query.version,
+            "outdated": result.outdated,
+            "unknown": result.unknown
+          });
+        },
+        function (error) {
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
+    /**
+     * Screen: delivery status of the latest settings update.
+     */
+    this.app.get('/api/screen/:id/delivery', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      var screen = new Screen(profile.apikey, req.params.id);
+      screen.settingsStatus().then(
+        function (status) {
+          res.send({
+            "id": screen.id,
+            "settings": status
+          });
+        },
+        function (error) {
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
     /**
      * Screen: reload.
      */
@@ -191,13 +219,15 @@ module.exports = function (options, imports, register) {
         var screen = new Screen(profile.apikey, req.params.id);
         screen.load().then(
           function (obj) {
-            if (obj.reload()) {
-              // Reload event sent, so sent 200 back.
-              res.sendStatus(200);
-            }
-            else {
-              res.status(503).send('Screen connection could not be found.');
-            }
+            obj.reload().then(function (sent) {
+              if (sent) {
+                // Reload event sent, so sent 200 back.
+                res.sendStatus(200);
+              }
+              else {
+                res.status(202).send('Screen connection could not be found, the reload will be sent when it connects.');
+              }
+            });
           },
           function (error) {
             res.status(500).send(error.message);
@@ -210,74 +240,698 @@ module.exports = function (options, imports, register) {
       }
     });
 
+    /**
+     * Helper function to change the groups of a screen.
+     *
+     * The channels of the groups joined are pushed to the screen and the
+     * channels of the groups left are removed from it. Responds with the
+     * screen's groups.
+     *
+     * @param req
+     *   Express request object.
+     * @param res
+     *   Express response object.
+     * @param update
+     *   Function that given the current group names returns the new.
+     */
+    function updateGroups(req, res, update) {
+      var profile = req.user;
+
+      var screen = new Screen(profile.apikey, req.params.id);
+      screen.load().then(function (obj) {
+        return obj.setGroups(update(obj.groups)).then(function (changes) {
+          Channel.updateScreenGroups(obj, changes).then(
+            function (result) {
+              self.logger.info('API: screen "' + obj.key + '" groups changed, pushed ' + JSON.stringify(result.pushed) + ' removed ' + JSON.stringify(result.removed) + '.');
+            },
+            function (error) {
+              self.logger.error('API: group channels could not be updated for "' + obj.key + '" "' + error.message + '"');
+            }
+          );
+
+          res.send({
+            "id": obj.id,
+            "groups": obj.groups
+          });
+        });
+      }).fail(function (error) {
+        res.status(500).send(error.message);
+      });
+    }
+
+    /**
+     * Screen: set the groups it is in.
+     */
+    this.app.put('/api/screen/:id/groups', expressJwt({"secret": options.secret}), Validator.middleware('groups'), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      updateGroups(req, res, function () {
+        return req.body.groups;
+      });
+    });
+
+    /**
+     * Group: add a screen.
+     */
+    this.app.put('/api/group/:name/screen/:id', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      if (!Screen.isGroupName(req.params.name)) {
+        res.status(400).send('Invalid group name.');
+        return;
+      }
+
+      updateGroups(req, res, function (groups) {
+        return groups.concat([req.params.name]);
+      });
+    });
+
+    /**
+     * Group: remove a screen.
+     */
+    this.app.delete('/api/group/:name/screen/:id', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      updateGroups(req, res, function (groups) {
+        return groups.filter(function (name) {
+          return name !== req.params.name;
+        });
+      });
+    });
+
+    /**
+     * Group: get the groups with the ids of their screens.
+     */
+    this.app.get('/api/groups', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      Screen.groups(req.user.apikey).then(
+        function (groups) {
+          res.send(groups);
+        },
+        function (error) {
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
+    /**
+     * Helper function to run an action on each screen in a group.
+     *
+     * Responds with the ids of the screens the action was run on.
+     *
+     * @param req
+     *   Express request object.
+     * @param res
+     *   Express response object.
+     * @param action
+     *   Function that given a screen object returns a promise.
+     */
+    function groupAction(req, res, action) {
+      Screen.loadGroup(req.user.apikey, req.params.name).then(function (screens) {
+        return Q.all(screens.map(action)).then(function () {
+          res.send({
+            "screens": screens.map(function (screen) {
+              return screen.id;
+            })
+          });
+        });
+      }).fail(function (error) {
+        self.logger.error('API: group action failed "' + error.message + '"');
+        res.status(500).send(error.message);
+      });
+    }
+
+    /**
+     * Group: reload all screens in the group.
+     *
+     * Screens that are not connected get the reload when they connect.
+     */
+    this.app.post('/api/group/:name/reload', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      groupAction(req, res, function (screen) {
+        return screen.reload();
+      });
+    });
+
+    /**
+     * Group: logout all screens in the group.
+     */
+    this.app.post('/api/group/:name/logout', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      groupAction(req, res, function (screen) {
+        return screen.remove();
+      });
+    });
+
+    /**
+     * Helper function to send statistics in the requested format.
+     *
+     * @param req
+     *   Express request object with the query parameters "from", "to",
+     *   "channel" and "format" ("json" or "csv").
+     * @param res
+     *   Express response object.
+     * @param screenId
+     *   (Optional) Only include statistics for this screen.
+     */
+    function sendStats(req, res, screenId) {
+      var filter = {
+        "screen": screenId !== undefined ? screenId : req.query.screen,
+        "channel": req.query.channel
+      };
+      if (req.query.hasOwnProperty('from')) {
+        filter.from = parseInt(req.query.from, 10);
+      }
+      if (req.query.hasOwnProperty('to')) {
+        filter.to = parseInt(req.query.to, 10);
+      }
+
+      var message = Stats.validatePeriod(filter);
+      if (message !== null) {
+        res.status(400).send(message);
+        return;
+      }
+
+      Stats.query(req.user.apikey, filter).then(
+        function (rows) {
+          if (req.query.format === 'csv') {
+            res.type('text/csv').send(Stats.toCSV(rows));
+          }
+          else {
+            res.json(rows);
+          }
+        },
+        function (error) {
+          self.logger.error('API: ' + error.message);
+          res.status(500).send(error.message);
+        }
+      );
+    }
+
     /**
      * Screen: stats.
+     *
+     * Play events can be reported by the screen itself or the backend.
      */
-    this.app.post('/api/screen/:id/stats', function (req, res) {
+    this.app.post('/api/screen/:id/stats', expressJwt({"secret": options.secret}), function (req, res) {
       var profile = req.user;
 
-      // Get hold of the screen.
+      // Screens may only report their own statistics.
+      if (!(profile.role === 'api' || (profile.role === 'screen' && String(profile.screenID) === req.params.id))) {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
 
-      // Get the screen stats.
+      var events = req.body.events;
+      var message = Stats.validate(events);
+      if (message !== null) {
+        res.status(400).send(message);
+        return;
+      }
 
-      res.sendStatus(200);
+      Stats.record(profile.apikey, req.params.id, events).then(
+        function () {
+          res.sendStatus(200);
+        },
+        function (error) {
+          res.status(500).send(error.message);
+        }
+      );
     });
 
     /**
-     * Channel: remove channel from one screen only.
+     * Screen: get stats.
+     */
+    this.app.get('/api/screen/:id/stats', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      sendStats(req, res, req.params.id);
+    });
+
+    /**
+     * Helper function to read an image sent as the request body.
+     *
+     * @param req
+     *   Express request object.
      *
-     * This is done by loading the channel and remove the screen from screens
-     * inside the channel. Then save the channel and load the screen and send
-     * removeChannel event to the client.
+     * @returns {*}
+     *   Promise that resolves with the image (Buffer) or rejects if it's
+     *   larger than the screenshots max size.
      */
-    this.app.delete('/api/channel/:channelId/screen/:screenId', expressJwt({"secret": options.secret}), function (req, res) {
+    function readImage(req) {
+      var deferred = Q.defer();
+      var chunks = [];
+      var size = 0;
+
+      req.on('data', function (chunk) {
+        size += chunk.length;
+        if (size > Screenshot.maxSize) {
+          deferred.reject(new Error('The image should be at most ' + Screenshot.maxSize + ' bytes.'));
+          req.pause();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', function () {
+        deferred.resolve(Buffer.concat(chunks));
+      });
+      req.on('error', function (error) {
+        deferred.reject(error);
+      });
+
+      return deferred.promise;
+    }
+
+    /**
+     * Screen: take a screenshot.
+     *
+     * The screen uploads the screenshot when it's taken.
+     */
+    this.app.post('/api/screen/:id/screenshot', expressJwt({"secret": options.secret}), function (req, res) {
       var profile = req.user;
 
-      if (req.params.hasOwnProperty('channelId') && req.params.hasOwnProperty('screenId')) {
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
 
-        // Get parameters.
-        var screenId = req.params.screenId;
-        var channelId = req.params.channelId;
+      var screen = new Screen(profile.apikey, req.params.id);
+      screen.screenshot().then(function (sent) {
+        if (sent) {
+          res.sendStatus(200);
+        }
+        else {
+          res.status(404).send('Screen connection could not be found.');
+        }
+      });
+    });
 
-        // Try to load channels.
-        var channel = new Channel(profile.apikey, channelId);
-        channel.load().then(
-          function (channelObj) {
-            // Remove screen from channel.
-            var index = channelObj.screens.indexOf(screenId);
-            delete channelObj.screens[index];
+    /**
+     * Screen: upload a screenshot.
+     *
+     * The image is sent as the body with its type as content type (e.g.
+     * "image/png").
+     */
+    this.app.post('/api/screen/:id/screenshots', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
 
-            // Save channel.
-            channelObj.save().then(
-              function () {
-                // Load screen and send remove channel.
-                var screen = new Screen(profile.apikey, screenId);
-                screen.removeChannel(channelId);
+      // Screens may only upload their own screenshots.
+      if (!(profile.role === 'screen' && String(profile.screenID) === req.params.id)) {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
 
-                // Check if channel is used by any one.
-                if (!channelObj.screens.length) {
-                  // It's not, so delete it.
-                  channelObj.remove();
-                }
+      var type = (req.headers['content-type'] || '').split(';')[0].trim();
+      readImage(req).then(
+        function (data) {
+          var message = Screenshot.validate(type, data);
+          if (message !== null) {
+            res.status(400).send(message);
+            return;
+          }
 
-                // Send response back that we have send the event to the client.
-                res.sendStatus(200);
-              },
-              function (error) {
-                self.logger.error('API: channel not saved in delete screen.');
-                res.status(500).send(error.message);
+          return Screenshot.add(profile.apikey, req.params.id, type, data).then(function (screenshot) {
+            res.send(screenshot);
+          });
+        },
+        function (error) {
+          res.status(413).send(error.message);
+        }
+      ).fail(function (error) {
+        self.logger.error('API: screenshot could not be saved "' + error.message + '"');
+        res.status(500).send(error.message);
+      });
+    });
+
+    /**
+     * Screen: get the screenshots kept (without the images).
+     */
+    this.app.get('/api/screen/:id/screenshots', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      Screenshot.list(profile.apikey, req.params.id).then(
+        function (screenshots) {
+          res.send(screenshots.map(function (screenshot) {
+            delete screenshot.url;
+            return screenshot;
+          }));
+        },
+        function (error) {
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
+    /**
+     * Screen: get a screenshot image (id or "latest").
+     */
+    this.app.get('/api/screen/:id/screenshots/:screenshotId', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      Screenshot.get(profile.apikey, req.params.id, req.params.screenshotId).then(
+        function (image) {
+          if (image === null) {
+            res.status(404).send('Screenshot not found.');
+          }
+          else {
+            res.type(image.type).send(image.data);
+          }
+        },
+        function (error) {
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
+    /**
+     * Screen: get the media it should have cached.
+     *
+     * The media of the channels that are active or opens soon, as the
+     * manifests and the unique urls.
+     */
+    this.app.get('/api/screen/:id/assets', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      // Screens may only get their own assets.
+      if (!(profile.role === 'api' || (profile.role === 'screen' && String(profile.screenID) === req.params.id))) {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      var now = Math.round((new Date()).getTime() / 1000);
+      var screen = new Screen(profile.apikey, req.params.id);
+      screen.load().then(function (obj) {
+        return Channel.manifestsForScreen(profile.apikey, req.params.id, now, obj.groups);
+      }).then(
+        function (manifests) {
+          var assets = [];
+          manifests.forEach(function (manifest) {
+            manifest.assets.forEach(function (url) {
+              if (assets.indexOf(url) === -1) {
+                assets.push(url);
               }
-            );
-          },
-          function (error) {
-            res.status(500).send(error.message);
+            });
+          });
+
+          res.json({
+            "id": req.params.id,
+            "assets": assets,
+            "channels": manifests
+          });
+        },
+        function (error) {
+          self.logger.error('API: assets of screen "' + req.params.id + '" could not be loaded "' + error.message + '"');
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
+    /**
+     * Get stats for all screens.
+     */
+    this.app.get('/api/stats', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      sendStats(req, res);
+    });
+
+    /**
+     * Broadcast: push an override to all or some screens of the API key.
+     */
+    this.app.post('/api/broadcast', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      var message = Broadcast.validate(req.body);
+      if (message !== null) {
+        res.status(400).send(message);
+        return;
+      }
+
+      Broadcast.create(req.body, [profile.apikey], 'api:' + profile.name).then(
+        function (broadcast) {
+          res.send(broadcast);
+        },
+        function (error) {
+          self.logger.error('API: broadcast could not be created "' + error.message + '"');
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
+    /**
+     * Broadcast: get the active broadcasts of the API key.
+     */
+    this.app.get('/api/broadcasts', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      Broadcast.active().then(
+        function (broadcasts) {
+          res.send(broadcasts.filter(function (broadcast) {
+            return Broadcast.ownedBy(broadcast, profile.apikey);
+          }));
+        },
+        function (error) {
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
+    /**
+     * Broadcast: clear and remove it from the screens.
+     */
+    this.app.delete('/api/broadcast/:id', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      Broadcast.load(req.params.id).then(function (broadcast) {
+        if (broadcast === null || !Broadcast.ownedBy(broadcast, profile.apikey)) {
+          return null;
+        }
+
+        return Broadcast.clear(broadcast.id, 'api:' + profile.name);
+      }).then(
+        function (broadcast) {
+          if (broadcast === null) {
+            res.status(404).send('Broadcast not found.');
           }
-        );
+          else {
+            res.sendStatus(200);
+          }
+        },
+        function (error) {
+          res.status(500).send(error.message);
+        }
+      );
+    });
+
+    /**
+     * Change the screen assignments of a channel.
+     *
+     * The channel is loaded, changed by the update function given and saved.
+     * Only the affected screens get the content pushed or removed. Channels
+     * left without screens are removed.
+     *
+     * @param req
+     *   The request with "channelId" and "screenId" parameters.
+     * @param res
+     *   The response.
+     * @param update
+     *   Function called with the loaded channel to change it.
+     */
+    function updateAssignment(req, res, update) {
+      var profile = req.user;
+
+      var channel = new Channel(profile.apikey, req.params.channelId);
+      channel.load().then(
+        function (channelObj) {
+          update(channelObj);
+
+          return channelObj.save().then(
+            function (changes) {
+              channelObj.pushChanges(changes, true);
+
+              // Check if channel is used by any one.
+              if (!channelObj.screens.length && !(channelObj.groups || []).length) {
+                // It's not, so delete it.
+                channelObj.remove();
+              }
+
+              // Send response back that we have send the events to the clients.
+              res.send({
+                "screens": channelObj.screens,
+                "groups": channelObj.groups,
+                "regions": channelObj.regions
+              });
+            },
+            function (error) {
+              self.logger.error('API: channel not saved in screen assignment.');
+              throw error;
+            }
+          );
+        }
+      ).fail(function (error) {
+        res.status(500).send(error.message);
+      });
+    }
+
+    /**
+     * Channel: add channel to one screen only.
+     *
+     * The body may contain the "regions" to display the channel in on the
+     * screen, which replaces the current regions on it.
+     */
+    this.app.put('/api/channel/:channelId/screen/:screenId', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
       }
-      else {
-        self.logger.error('API: missing id parameter in remove channel.');
-        res.status(500).send('Missing parameters in remove channel.');
+
+      var regions = req.body ? req.body.regions : undefined;
+      if (regions !== undefined && !Array.isArray(regions)) {
+        res.status(400).send('Regions must be an array.');
+        return;
       }
+
+      updateAssignment(req, res, function (channel) {
+        channel.addScreen(req.params.screenId, regions);
+      });
+    });
+
+    /**
+     * Channel: remove channel from one screen only.
+     *
+     * The screen and its regions are removed from the channel and the
+     * removeChannel event is send to the screen.
+     */
+    this.app.delete('/api/channel/:channelId/screen/:screenId', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      updateAssignment(req, res, function (channel) {
+        channel.removeScreen(req.params.screenId);
+      });
+    });
+
+    /**
+     * Channel: display channel in a region on a screen.
+     */
+    this.app.put('/api/channel/:channelId/screen/:screenId/region/:regionId', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      updateAssignment(req, res, function (channel) {
+        channel.addRegion(req.params.screenId, req.params.regionId);
+      });
+    });
+
+    /**
+     * Channel: remove channel from a region on a screen.
+     */
+    this.app.delete('/api/channel/:channelId/screen/:screenId/region/:regionId', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      updateAssignment(req, res, function (channel) {
+        channel.removeRegion(req.params.screenId, req.params.regionId);
+      });
+    });
+
+    /**
+     * Channel: target the screens in a group.
+     *
+     * The body may contain the "regions" to display the channel in on the
+     * screens in the group, which replaces the group's current regions.
+     */
+    this.app.put('/api/channel/:channelId/group/:name', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      var regions = req.body ? req.body.regions : undefined;
+      if (!Screen.isGroupName(req.params.name)) {
+        res.status(400).send('Invalid group name.');
+        return;
+      }
+      if (regions !== undefined && !Array.isArray(regions)) {
+        res.status(400).send('Regions must be an array.');
+        return;
+      }
+
+      updateAssignment(req, res, function (channel) {
+        channel.addGroup(req.params.name, regions);
+      });
+    });
+
+    /**
+     * Channel: stop targeting the screens in a group.
+     */
+    this.app.delete('/api/channel/:channelId/group/:name', expressJwt({"secret": options.secret}), function (req, res) {
+      if (req.user.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      updateAssignment(req, res, function (channel) {
+        channel.removeGroup(req.params.name);
+      });
     });
 
     /**
@@ -307,26 +961,160 @@ module.exports = function (options, imports, register) {
       }
     });
 
+    /**
+     * Channel: delivery status on each screen.
+     */
+    this.app.get('/api/channel/:id/delivery', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      var channel = new Channel(profile.apikey, req.params.id);
+      channel.load().then(
+        function (obj) {
+          return obj.delivery().then(function (screens) {
+            res.send({
+              "id": obj.id,
+              "version": obj.version,
+              "screens": screens
+            });
+          });
+        }
+      ).fail(function (error) {
+        res.status(500).send(error.message);
+      });
+    });
+
+    /**
+     * Channel: versions kept in the history.
+     */
+    this.app.get('/api/channel/:id/versions', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      var channel = new Channel(profile.apikey, req.params.id);
+      channel.load().then(
+        function (obj) {
+          return obj.versions().then(function (versions) {
+            res.send({
+              "id": obj.id,
+              "version": obj.version,
+              "versions": versions
+            });
+          });
+        }
+      ).fail(function (error) {
+        res.status(500).send(error.message);
+      });
+    });
+
+    /**
+     * Channel: difference between two versions.
+     *
+     * Query parameters "from" and "to" (defaults to the current version).
+     */
+    this.app.get('/api/channel/:id/diff', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      if (!req.query.from) {
+        res.status(400).send('Missing "from" version.');
+        return;
+      }
+
+      var channel = new Channel(profile.apikey, req.params.id);
+      channel.load().then(
+        function (obj) {
+          return obj.diff(req.query.from, req.query.to).then(function (result) {
+            if (result === null) {
+              res.status(404).send('Version not found in the channel history.');
+            }
+            else {
+              res.send(result);
+            }
+          });
+        }
+      ).fail(function (error) {
+        res.status(500).send(error.message);
+      });
+    });
+
+    /**
+     * Channel: roll back to a version and push it to the screens.
+     */
+    this.app.post('/api/channel/:id/rollback', expressJwt({"secret": options.secret}), function (req, res) {
+      var profile = req.user;
+
+      if (profile.role !== 'api') {
+        res.status(401).send('You do not have the right role.');
+        return;
+      }
+
+      if (!req.body.version) {
+        res.status(400).send('Missing version.');
+        return;
+      }
+
+      var channel = new Channel(profile.apikey, req.params.id);
+      channel.load().then(
+        function (obj) {
+          return obj.rollback(req.body.version).then(function (result) {
+            if (result === null) {
+              res.status(404).send('Version not found in the channel history.');
+            }
+            else {
+              self.logger.info('API: channel "' + obj.key + '" rolled back.');
+              res.sendStatus(200);
+            }
+          });
+        }
+      ).fail(function (error) {
+        res.status(500).send(error.message);
+      });
+    });
+
     /**
      * Channel: create/update better known has push.
      */
-    this.app.post('/api/channel/:id', expressJwt({"secret": options.secret}), function (req, res) {
+    this.app.post('/api/channel/:id', expressJwt({"secret": options.secret}), Validator.middleware('channel'), function (req, res) {
       var profile = req.user;
 
       // Validate basic data structure.
       if (req.params.hasOwnProperty('id') && req.body.hasOwnProperty('data')) {
+        if (req.body.schedule !== undefined && req.body.schedule !== null) {
+          var invalid = Channel.validateSchedule(req.body.schedule);
+          if (invalid) {
+            self.logger.error('API: invalid schedule in channel push "' + invalid + '"');
+            res.status(400).send(invalid);
+            return;
+          }
+        }
+
         // Try to create channel.
         var channel = new Channel(profile.apikey, req.params.id);
         channel.title = req.body.title;
         channel.data = req.body.data;
         channel.screens = req.body.screens;
         channel.regions = req.body.regions;
+        channel.groups = req.body.groups || undefined;
+        channel.schedule = req.body.schedule || undefined;
 
         // Save channel and override if one exists.
         channel.save().then(
-          function () {
-            // Push content.
-            channel.push();
+          function (changes) {
+            // Push content and remove it from screens no longer targeted.
+            channel.pushChanges(changes);
 
             // Log message.
             self.logger.info('API: channel "' + channel.key + '" pushed.');
@@ -87,7 +87,7 @@ module.exports = function (options, imports, register) {
   /**
    * Screen: activate.
    */
-  app.post('/screen/activate', function (req, res) {
+  app.post('/screen/activate', imports.validator.middleware('activation'), function (req, res) {
     var activationCode = req.body.activationCode;
     var apikey = req.body.apikey;
 
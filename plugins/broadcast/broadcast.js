@@ -0,0 +1,530 @@
+/**
+ * @file
+ * Emergency broadcasts that override the normal content on screens.
+ *
+ * A broadcast is pushed to the screens as a channel with the id
+ * "broadcast-<id>" and an "override" object in the content, so the screens
+ * display it above their other channels. It's kept active until it expires or
+ * is cleared, and delivered to the screens targeted when they connect while
+ * it's active.
+ */
+
+var Q = require('q');
+
+// Set with the ids of the active broadcasts.
+var ACTIVE = 'broadcast:active';
+
+// List with the audit log (newest first).
+var AUDIT = 'broadcast:audit';
+
+/**
+ * Define the Broadcast object (constructor).
+ *
+ * @param cache
+ *   The cache to store broadcasts in.
+ * @param logger
+ *   The event logger.
+ * @param Screen
+ *   Screen object.
+ * @param apikeys
+ *   API key object.
+ * @param auditLength
+ *   Number of entries kept in the audit log.
+ */
+var Broadcast = function Broadcast(cache, logger, Screen, apikeys, auditLength) {
+  "use strict";
+
+  this.cache = cache;
+  this.logger = logger;
+  this.Screen = Screen;
+  this.apikeys = apikeys;
+  this.auditLength = auditLength;
+};
+
+/**
+ * Get the key of a broadcast.
+ *
+ * @param id
+ *   Id of the broadcast.
+ *
+ * @returns {string}
+ */
+function broadcastKey(id) {
+  "use strict";
+
+  return 'broadcast:' + id;
+}
+
+/**
+ * Get the id of the channel a broadcast is pushed as.
+ *
+ * @param broadcast
+ *   The broadcast.
+ *
+ * @returns {string}
+ */
+function channelId(broadcast) {
+  "use strict";
+
+  return 'broadcast-' + broadcast.id;
+}
+
+/**
+ * Get the current unix timestamp.
+ *
+ * @returns {number}
+ */
+function now() {
+  "use strict";
+
+  return Math.round((new Date()).getTime() / 1000);
+}
+
+/**
+ * Check if a broadcast targets a screen.
+ *
+ * @param broadcast
+ *   The broadcast.
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenId
+ *   Id of the screen.
+ *
+ * @returns {boolean}
+ */
+function targets(broadcast, apikey, screenId) {
+  "use strict";
+
+  if (broadcast.apikeys !== null && broadcast.apikeys.indexOf(apikey) === -1) {
+    return false;
+  }
+
+  return broadcast.screens === null || broadcast.screens.map(String).indexOf(String(screenId)) !== -1;
+}
+
+/**
+ * Load the screens targeted by a broadcast.
+ *
+ * @param self
+ *   The broadcast object.
+ * @param broadcast
+ *   The broadcast.
+ *
+ * @returns {*}
+ *   Promise that resolves with an array of screen objects.
+ */
+function loadScreens(self, broadcast) {
+  "use strict";
+
+  var apikeys = broadcast.apikeys !== null ? Q.when(broadcast.apikeys) : self.apikeys.load().then(function (keys) {
+    return Object.keys(keys);
+  });
+
+  return apikeys.then(function (keys) {
+    return Q.all(keys.map(function (apikey) {
+      var ids = broadcast.screens !== null ? Q.when(broadcast.screens) : self.cache.membersOfSet('screen:' + apikey);
+      return ids.then(function (ids) {
+        return self.Screen.loadMultiple(apikey, ids);
+      });
+    }));
+  }).then(function (screens) {
+    return [].concat.apply([], screens);
+  });
+}
+
+/**
+ * Find the screens targeted by a broadcast's screens and groups.
+ *
+ * @param self
+ *   The broadcast object.
+ * @param body
+ *   The validated broadcast.
+ * @param apikeys
+ *   The API keys targeted (null for every installation).
+ *
+ * @returns {*}
+ *   Promise that resolves with the screen ids or null for all screens.
+ */
+function resolveScreens(self, body, apikeys) {
+  "use strict";
+
+  var groups = body.groups || [];
+  if (!groups.length || apikeys === null) {
+    return Q.when(body.screens || null);
+  }
+
+  var members = [];
+  apikeys.forEach(function (apikey) {
+    groups.forEach(function (name) {
+      members.push(self.Screen.groupMembers(apikey, name));
+    });
+  });
+
+  return Q.all(members).then(function (lists) {
+    var ids = (body.screens || []).map(String);
+    lists.forEach(function (list) {
+      list.map(String).forEach(function (id) {
+        if (ids.indexOf(id) === -1) {
+          ids.push(id);
+        }
+      });
+    });
+
+    return ids;
+  });
+}
+
+/**
+ * Add an entry to the audit log.
+ *
+ * @param self
+ *   The broadcast object.
+ * @param action
+ *   What happened ("created", "cleared" or "expired").
+ * @param broadcast
+ *   The broadcast.
+ * @param author
+ *   Who did it.
+ */
+function audit(self, action, broadcast, author) {
+  "use strict";
+
+  var entry = {
+    "time": now(),
+    "action": action,
+    "id": broadcast.id,
+    "title": broadcast.title,
+    "apikeys": broadcast.apikeys,
+    "screens": broadcast.screens,
+    "groups": broadcast.groups,
+    "expires": broadcast.expires,
+    "author": author
+  };
+
+  self.logger.info('Broadcast: ' + JSON.stringify(entry));
+
+  self.cache.batch([
+    ['lpush', AUDIT, JSON.stringify(entry)],
+    ['ltrim', AUDIT, 0, self.auditLength - 1]
+  ]).fail(function (err) {
+    self.logger.error('Broadcast: audit log could not be updated "' + err.message + '"');
+  });
+}
+
+/**
+ * Validate a broadcast.
+ *
+ * @param body
+ *   The broadcast with "title", "data" (the content) and "expires" (unix
+ *   timestamp) or "ttl" (seconds). "screens" and "groups" limit the screens
+ *   targeted.
+ *
+ * @returns {*}
+ *   Error message or null if the broadcast is valid.
+ */
+Broadcast.prototype.validate = function validate(body) {
+  "use strict";
+
+  if (body === null || typeof body !== 'object') {
+    return 'Broadcast should be an object.';
+  }
+  if (body.data === null || typeof body.data !== 'object') {
+    return 'Broadcast is missing "data".';
+  }
+  if (body.expires === undefined && body.ttl === undefined) {
+    return 'Broadcast should have "expires" (unix timestamp) or "ttl" (seconds).';
+  }
+  if (body.expires !== undefined && (typeof body.expires !== 'number' || body.expires <= now())) {
+    return 'Broadcast "expires" should be an unix timestamp in the future.';
+  }
+  if (body.ttl !== undefined && (typeof body.ttl !== 'number' || body.ttl <= 0)) {
+    return 'Broadcast "ttl" should be a number of seconds.';
+  }
+  if (body.screens !== undefined && body.screens !== null && !Array.isArray(body.screens)) {
+    return 'Broadcast "screens" should be an array.';
+  }
+  if (body.groups !== undefined && body.groups !== null && !(Array.isArray(body.groups) && body.groups.every(this.Screen.isGroupName))) {
+    return 'Broadcast "groups" should be an array of group names.';
+  }
+
+  return null;
+};
+
+/**
+ * Create a broadcast and push it to the screens targeted.
+ *
+ * The screens in the groups are found when the broadcast is created.
+ *
+ * @param body
+ *   The validated broadcast.
+ * @param apikeys
+ *   The API keys to target (null for every installation).
+ * @param author
+ *   Who created it (logged for audit).
+ *
+ * @returns {*}
+ *   Promise that resolves with the broadcast.
+ */
+Broadcast.prototype.create = function create(body, apikeys, author) {
+  "use strict";
+
+  var self = this;
+
+  return Q.all([self.cache.increment('broadcast:seq'), resolveScreens(self, body, apikeys)]).spread(function (id, screens) {
+    var time = now();
+    var broadcast = {
+      "id": String(id),
+      "title": body.title,
+      "data": body.data,
+      "apikeys": apikeys,
+      "screens": screens,
+      "groups": body.groups || null,
+      "created": time,
+      "expires": body.expires !== undefined ? body.expires : time + Math.round(body.ttl)
+    };
+
+    return self.cache.set(broadcastKey(broadcast.id), JSON.stringify(broadcast)).then(function () {
+      return self.cache.addSet(ACTIVE, broadcast.id);
+    }).then(function () {
+      audit(self, 'created', broadcast, author);
+      self.deliver(broadcast);
+
+      return broadcast;
+    });
+  });
+};
+
+/**
+ * Push a broadcast to the screens targeted.
+ *
+ * Screens that are not connected get it queued.
+ *
+ * @param broadcast
+ *   The broadcast.
+ * @param screens
+ *   (Optional) The screen objects to push to, defaults to the targeted.
+ */
+Broadcast.prototype.deliver = function deliver(broadcast, screens) {
+  "use strict";
+
+  var self = this;
+
+  Q.when(screens || loadScreens(self, broadcast)).then(
+    function (screens) {
+      screens.forEach(function (screen) {
+        screen.push({
+          "regions": [],
+          "data": broadcast.data,
+          "override": {
+            "id": broadcast.id,
+            "title": broadcast.title,
+            "expires": broadcast.expires
+          }
+        }, channelId(broadcast), String(broadcast.created));
+      });
+    },
+    function (error) {
+      self.logger.error('Broadcast: screen load failed "' + error.message + '"');
+    }
+  );
+};
+
+/**
+ * Load a broadcast.
+ *
+ * @param id
+ *   Id of the broadcast.
+ *
+ * @returns {*}
+ *   Promise that resolves with the broadcast or null if not found.
+ */
+Broadcast.prototype.load = function load(id) {
+  "use strict";
+
+  return this.cache.get(broadcastKey(id)).then(function (res) {
+    return res !== null ? JSON.parse(res) : null;
+  });
+};
+
+/**
+ * Load the active broadcasts.
+ *
+ * @returns {*}
+ *   Promise that resolves with an array of broadcasts. Expired broadcasts not
+ *   yet cleared are included.
+ */
+Broadcast.prototype.active = function active() {
+  "use strict";
+
+  var self = this;
+
+  return self.cache.membersOfSet(ACTIVE).then(function (ids) {
+    return self.cache.getMultiple(ids.map(broadcastKey));
+  }).then(function (values) {
+    return values.filter(function (value) {
+      return value !== null;
+    }).map(function (value) {
+      return JSON.parse(value);
+    });
+  });
+};
+
+/**
+ * Deliver the active broadcasts targeting a screen that has connected.
+ *
+ * @param screen
+ *   The screen object.
+ * @param delivered
+ *   Ids of the channels already delivered to the screen (from its queue).
+ *
+ * @returns {*}
+ *   Promise that resolves with the ids of the broadcasts delivered.
+ */
+Broadcast.prototype.deliverToScreen = function deliverToScreen(screen, delivered) {
+  "use strict";
+
+  var self = this;
+  var time = now();
+
+  return self.active().then(function (broadcasts) {
+    return broadcasts.filter(function (broadcast) {
+      return broadcast.expires > time &&
+        targets(broadcast, screen.apikey, screen.id) &&
+        delivered.indexOf(channelId(broadcast)) === -1;
+    }).map(function (broadcast) {
+      self.deliver(broadcast, [screen]);
+      return broadcast.id;
+    });
+  });
+};
+
+/**
+ * Clear a broadcast and remove it from the screens targeted.
+ *
+ * @param id
+ *   Id of the broadcast.
+ * @param author
+ *   Who cleared it (logged for audit).
+ * @param action
+ *   (Optional) The audit action, defaults to "cleared".
+ *
+ * @returns {*}
+ *   Promise that resolves with the broadcast or null if it's not active.
+ */
+Broadcast.prototype.clear = function clear(id, author, action) {
+  "use strict";
+
+  var self = this;
+
+  // Only the one removing it from the active set clears it, so more
+  // instances can run the expire job.
+  return self.cache.removeSet(ACTIVE, id).then(function (removed) {
+    if (!removed) {
+      return null;
+    }
+
+    return self.load(id).then(function (broadcast) {
+      if (broadcast === null) {
+        return null;
+      }
+
+      audit(self, action || 'cleared', broadcast, author);
+
+      loadScreens(self, broadcast).then(
+        function (screens) {
+          var apikeys = {};
+          screens.forEach(function (screen) {
+            apikeys[screen.apikey] = true;
+            screen.removeChannel(channelId(broadcast));
+          });
+
+          Object.keys(apikeys).forEach(function (apikey) {
+            self.Screen.removeDeliveries(apikey, channelId(broadcast)).fail(function () {
+              self.logger.error('Broadcast: redis encounted an error in del delivery status.');
+            });
+          });
+        },
+        function (error) {
+          self.logger.error('Broadcast: screen load failed "' + error.message + '"');
+        }
+      );
+
+      return self.cache.remove(broadcastKey(id)).then(function () {
+        return broadcast;
+      });
+    });
+  });
+};
+
+/**
+ * Clear the broadcasts that have expired.
+ *
+ * @returns {*}
+ *   Promise that resolves with the ids of the broadcasts cleared.
+ */
+Broadcast.prototype.expire = function expire() {
+  "use strict";
+
+  var self = this;
+  var time = now();
+
+  return self.active().then(function (broadcasts) {
+    return Q.all(broadcasts.filter(function (broadcast) {
+      return broadcast.expires <= time;
+    }).map(function (broadcast) {
+      return self.clear(broadcast.id, 'system', 'expired');
+    }));
+  }).then(function (cleared) {
+    return cleared.filter(function (broadcast) {
+      return broadcast !== null;
+    }).map(function (broadcast) {
+      return broadcast.id;
+    });
+  });
+};
+
+/**
+ * Get the audit log.
+ *
+ * @returns {*}
+ *   Promise that resolves with an array of audit entries (newest first).
+ */
+Broadcast.prototype.auditLog = function auditLog() {
+  "use strict";
+
+  return this.cache.listRange(AUDIT, 0, -1).then(function (entries) {
+    return entries.map(function (entry) {
+      return JSON.parse(entry);
+    });
+  });
+};
+
+/**
+ * Check if a broadcast targets only the screens of a given API key.
+ *
+ * @param broadcast
+ *   The broadcast.
+ * @param apikey
+ *   The API key.
+ *
+ * @returns {boolean}
+ */
+Broadcast.prototype.ownedBy = function ownedBy(broadcast, apikey) {
+  "use strict";
+
+  return broadcast.apikeys !== null && broadcast.apikeys.length === 1 && broadcast.apikeys[0] === apikey;
+};
+
+/**
+ * Register the plugin with architect.
+ */
+module.exports = function (options, imports, register) {
+  "use strict";
+
+  var broadcast = new Broadcast(imports.cache, imports.logger, imports.screen, imports.apikeys, options.audit || 500);
+
+  // Register the plugin with the system.
+  register(null, {
+    "broadcast": broadcast
+  });
+};
@@ -1,17 +1,63 @@
 /**
  * @file
  * This plugin provides a key/value based cache.
+ *
+ * Commands issued while the connection to the cache service is not ready are
+ * queued and send when the connection is (re-)established. Queued commands
+ * fail if the connection is not ready within the configured timeout.
+ *
+ * All operations takes an optional callback and returns a promise.
  */
 
 // Core modules.
 var eventEmitter = require('events').EventEmitter;
 var util = require('util');
 
+// Load promise library.
+var Q = require('q');
+
 
 // Register the plugin.
 module.exports = function (options, imports, register) {
   "use strict";
 
+  // Get configuration.
+  var config = options.config;
+
+  // Default reconnect settings (all in milliseconds).
+  var reconnect = {
+    "delay": 100,
+    "max": 5000,
+    "down": 30000
+  };
+  if (config.hasOwnProperty('reconnect')) {
+    for (var setting in config.reconnect) {
+      reconnect[setting] = config.reconnect[setting];
+    }
+  }
+
+  // Prefix added to all keys, so more installations can share a database.
+  var prefix = config.prefix || '';
+
+  // Describe the redis setup used, for logging and status.
+  var topology = 'single (' + config.host + ':' + config.port + ')';
+  if (config.backend === 'memory') {
+    topology = 'memory';
+  }
+  else if (config.hasOwnProperty('cluster')) {
+    topology = 'cluster (' + config.cluster.map(function (node) {
+      return node.host + ':' + node.port;
+    }).join(', ') + ')';
+  }
+  else if (config.hasOwnProperty('sentinels')) {
+    topology = 'sentinel (master "' + config.name + '" via ' + config.sentinels.map(function (sentinel) {
+      return sentinel.host + ':' + sentinel.port;
+    }).join(', ') + ')';
+  }
+
+  // Time in milliseconds a command may wait for the connection.
+  var queueTimeout = config.hasOwnProperty('queueTimeout') ? config.queueTimeout : 10000;
+
   /**
    * Define the Base object (constructor).
    */
@@ -22,6 +68,20 @@ module.exports = function (options, imports, register) {
     // Set current connection
     this.service = undefined;
 
+    // Connection state ("connected", "reconnecting" or "down") and the time
+    // (unix timestamp) it was entered.
+    this.state = 'down';
+    this.since = Math.round((new Date()).getTime() / 1000);
+
+    // Commands waiting for the connection to become ready.
+    this.queue = [];
+
+    // Connection used for pub/sub, whether it is ready and the message
+    // handlers for each channel (with prefix).
+    this.subscriber = undefined;
+    this.subscribed = false;
+    this.handlers = {};
+
     // Set logger for the object (other plugin).
     this.logger = imports.logger;
   };
@@ -29,42 +89,370 @@ module.exports = function (options, imports, register) {
   // Extend the object with event emitter.
   util.inherits(Cache, eventEmitter);
 
+  /**
+   * Change the connection state and notify listeners.
+   *
+   * @param self
+   *   The cache object.
+   * @param state
+   *   The new state.
+   */
+  function setState(self, state) {
+    if (self.state !== state) {
+      var previous = self.state;
+      self.state = state;
+      self.since = Math.round((new Date()).getTime() / 1000);
+
+      self.logger.info('Cache: connection state changed from "' + previous + '" to "' + state + '".');
+      self.emit('state', state, previous);
+    }
+  }
+
+  /**
+   * Send a command to the cache service.
+   *
+   * @param self
+   *   The cache object.
+   * @param command
+   *   Object with the command name, arguments and callback.
+   */
+  function send(self, command) {
+    if (command.name === 'batch') {
+      // Send all the commands in one round trip.
+      self.service.batch(command.args[0]).exec(command.callback);
+    }
+    else if (command.name === 'transaction') {
+      // Execute all the commands atomically.
+      self.service.multi(command.args[0]).exec(command.callback);
+    }
+    else {
+      self.service[command.name].apply(self.service, command.args.concat([command.callback]));
+    }
+  }
+
+  /**
+   * Fail a command.
+   *
+   * @param command
+   *   Object with the command name, arguments and callback.
+   * @param message
+   *   The error message.
+   */
+  function fail(command, message) {
+    command.callback(new Error('Cache: ' + command.name + ' failed as ' + message));
+  }
+
+  /**
+   * Send all queued commands.
+   *
+   * @param self
+   *   The cache object.
+   */
+  function flushQueue(self) {
+    var queue = self.queue;
+    self.queue = [];
+
+    for (var i = 0; i < queue.length; i++) {
+      clearTimeout(queue[i].timer);
+      send(self, queue[i]);
+    }
+  }
+
+  /**
+   * Fail all queued commands.
+   *
+   * @param self
+   *   The cache object.
+   * @param message
+   *   The error message.
+   */
+  function failQueue(self, message) {
+    var queue = self.queue;
+    self.queue = [];
+
+    for (var i = 0; i < queue.length; i++) {
+      clearTimeout(queue[i].timer);
+      fail(queue[i], message);
+    }
+  }
+
+  /**
+   * Calculate the delay before the next reconnect attempt.
+   *
+   * @param self
+   *   The cache object.
+   * @param params
+   *   Retry information from the cache service client.
+   *
+   * @returns {number}
+   *   Delay in milliseconds.
+   */
+  function retryStrategy(self, params) {
+    // Mark the connection as down if it have been gone for too long. Commands
+    // will then fail right away instead of waiting in the queue.
+    if (params.total_retry_time >= reconnect.down && self.state !== 'down') {
+      self.logger.error('Cache: connection have been down for ' + params.total_retry_time + ' ms.');
+      setState(self, 'down');
+      failQueue(self, 'the connection is down.');
+    }
+
+    return Math.min(reconnect.delay * Math.pow(2, params.attempt - 1), reconnect.max);
+  }
+
+  /**
+   * Create a new client for the cache service.
+   *
+   * @param self
+   *   The cache object.
+   * @param retry
+   *   Function that returns the delay before the next reconnect attempt.
+   *
+   * @returns {*}
+   *   The client.
+   */
+  function createClient(self, retry) {
+    var clientOptions = {
+      "db": config.db,
+      "enable_offline_queue": false,
+      "retry_strategy": retry
+    };
+    if (config.auth) {
+      clientOptions.password = config.auth;
+    }
+
+    return self.CacheService.createClient(config.port, config.host, clientOptions);
+  }
+
+  /**
+   * Connect the client used to receive pub/sub messages.
+   *
+   * A client that have subscribed to channels can not send other commands, so
+   * a separate connection is used. It (re-)subscribes to all channels with
+   * handlers every time it becomes ready.
+   *
+   * @param self
+   *   The cache object.
+   */
+  function connectSubscriber(self) {
+    if (self.subscriber !== undefined) {
+      return;
+    }
+
+    var client = createClient(self, function (params) {
+      return Math.min(reconnect.delay * Math.pow(2, params.attempt - 1), reconnect.max);
+    });
+    self.subscriber = client;
+
+    client.on('error', function (err) {
+      self.logger.error('Cache: subscriber connection failed: ' + err.message);
+
+      if (err.code === 'CONNECTION_BROKEN' && self.subscriber === client) {
+        self.subscriber = undefined;
+        connectSubscriber(self);
+      }
+    });
+
+    client.on('end', function () {
+      if (self.subscriber === client) {
+        self.subscribed = false;
+      }
+    });
+
+    client.on('ready', function () {
+      self.subscribed = true;
+
+      var channels = Object.keys(self.handlers);
+      if (channels.length) {
+        client.subscribe(channels, function (err) {
+          if (err) {
+            self.logger.error('Cache: subscribe failed: ' + err.message);
+          }
+        });
+      }
+    });
+
+    client.on('message', function (channel, message) {
+      var handlers = self.handlers[channel] || [];
+      for (var i = 0; i < handlers.length; i++) {
+        handlers[i](message, channel.substr(prefix.length));
+      }
+    });
+  }
+
   /**
    * Connect to cache service server.
    */
   function connectCache(self) {
-    // Get configuration.
-    var config = options.config;
-
     // Check if connection exists.
     if (self.service === undefined) {
-      // Connect to service server.
-      self.service = self.CacheService.createClient(config.port, config.host, { 'auth_pass': config.auth });
+      setState(self, 'reconnecting');
+
+      // Connect to service server. The client handles re-connections and
+      // select the database on every (re-)connect.
+      var client = createClient(self, function (params) {
+        return retryStrategy(self, params);
+      });
+      self.service = client;
 
       // Handle connection errors.
-      self.service.on('error', function (err) {
+      client.on('error', function (err) {
         self.logger.error('Cache connection failed: ' + err.message);
+
+        // The client have given up, so start over with a new client.
+        if (err.code === 'CONNECTION_BROKEN' && self.service === client) {
+          self.service = undefined;
+          connectCache(self);
+        }
       });
 
-      // Handle on connected event and select the database.
-      self.service.on("connect", function (err) {
+      // Connection lost (not by disconnect), the client will try to reconnect.
+      client.on('end', function () {
+        if (self.service === client && self.state === 'connected') {
+          setState(self, 'reconnecting');
+        }
+      });
+
+      client.on('reconnecting', function (params) {
+        self.logger.debug('Cache: reconnecting in ' + params.delay + ' ms (attempt ' + params.attempt + ').');
+      });
+
+      // Connection ready and database selected.
+      client.on('ready', function () {
+        var message = 'Connected to cache service (' + (config.backend || 'redis') + ') using ' + topology;
+        if (typeof client.address === 'function') {
+          // Log the server connected to, as it changes on fail-over.
+          message += ' at ' + client.address();
+        }
+        self.logger.info(message);
+
+        setState(self, 'connected');
+        flushQueue(self);
+      });
+    }
+  }
+
+  /**
+   * Execute command on the cache service.
+   *
+   * The command is queued if the connection is not ready.
+   *
+   * @param self
+   *   The cache object.
+   * @param name
+   *   Name of the cache service command.
+   * @param args
+   *   The command arguments.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res".
+   *
+   * @returns {*}
+   *   Promise that resolves with the result of the command.
+   */
+  function execute(self, name, args, callback) {
+    var deferred = Q.defer();
+
+    var command = {
+      "name": name,
+      "args": args,
+      "callback": function (err, res) {
         if (err) {
-          self.logger.error('Cache connect failed: ' + err.message);
+          deferred.reject(err);
+        }
+        else {
+          deferred.resolve(res);
         }
 
-        // Select the right database.
-        self.service.select(config.db, function() {
-          self.logger.info('Connected to cache service server at: ' + config.host);
+        if (typeof callback === 'function') {
+          callback(err, res);
+        }
+      }
+    };
+
+    // Ensure that the connection have been started.
+    connectCache(self);
 
-          // Connected and DB selected.
-          self.emit('connected', {});
+    switch (self.state) {
+      case 'connected':
+        send(self, command);
+        break;
+
+      case 'down':
+        fail(command, 'the connection is down.');
+        break;
+
+      default:
+        // Wait for the connection to become ready.
+        command.timer = setTimeout(function () {
+          var index = self.queue.indexOf(command);
+          if (index !== -1) {
+            self.queue.splice(index, 1);
+            fail(command, 'the connection was not ready within ' + queueTimeout + ' ms.');
+          }
+        }, queueTimeout);
+        self.queue.push(command);
+        break;
+    }
+
+    return deferred.promise;
+  }
+
+  /**
+   * Add the configured prefix to a key.
+   *
+   * @param key
+   *   The key as used by the other plugins.
+   *
+   * @returns {string}
+   *   The key used in the cache service.
+   */
+  function prefixKey(key) {
+    return prefix + key;
+  }
+
+  /**
+   * Iterate over all keys (without the prefix added) matching a pattern.
+   *
+   * @param self
+   *   The cache object.
+   * @param pattern
+   *   The pattern to match (e.g. "screen:*").
+   * @param handler
+   *   Function called with each batch of keys found. It may return a promise.
+   *
+   * @returns {*}
+   *   Promise that resolves when all keys have been handled.
+   */
+  function scanKeys(self, pattern, handler) {
+    function scan(cursor) {
+      return execute(self, 'scan', [cursor, 'MATCH', pattern, 'COUNT', 100]).then(function (res) {
+        return Q.when(handler(res[1])).then(function () {
+          if (String(res[0]) !== '0') {
+            return scan(res[0]);
+          }
         });
       });
     }
-    else {
-      // Already connected and DB is selected.
-      self.emit('connected', {});
+
+    return scan('0');
+  }
+
+  /**
+   * Complete a multi-key operation without any keys.
+   *
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res".
+   *
+   * @returns {*}
+   *   Promise that resolves with an empty array.
+   */
+  function resolveEmpty(callback) {
+    if (typeof callback === 'function') {
+      setImmediate(function () {
+        callback(null, []);
+      });
     }
+
+    return Q.resolve([]);
   }
 
   /**
@@ -78,23 +466,134 @@ module.exports = function (options, imports, register) {
    * Disconnect from the cache storage.
    */
   Cache.prototype.disconnect = function disconnect() {
-    this.service.quit();
-    this.service = undefined;
+    if (this.service !== undefined) {
+      this.service.quit();
+      this.service = undefined;
+    }
+
+    if (this.subscriber !== undefined) {
+      this.subscriber.quit();
+      this.subscriber = undefined;
+      this.subscribed = false;
+    }
+
+    setState(this, 'down');
+    failQueue(this, 'the connection was closed.');
   };
 
   /**
-   * Clear the cache.
+   * Get information about the connection to the cache storage.
+   *
+   * @returns {object}
+   *   The connection state, the time it was entered and the number of queued
+   *   commands.
    */
-  Cache.prototype.clearAll = function clearAll() {
+  Cache.prototype.status = function status() {
+    return {
+      "backend": config.backend || 'redis',
+      "topology": topology,
+      "state": this.state,
+      "since": this.since,
+      "queued": this.queue.length
+    };
+  };
+
+  /**
+   * Add the configured prefix to existing keys without prefix.
+   *
+   * Used to migrate an installation that have been running without a prefix.
+   * Keys are renamed one at a time and keys where the prefixed key already
+   * exists are skipped. Not supported with a cluster, as RENAMENX fails when
+   * the two keys hash to different slots.
+   *
+   * @param patterns
+   *   Array of patterns (e.g. "screen:*") matching the keys to rename.
+   * @param dryRun
+   *   If true the keys are only found, not renamed.
+   *
+   * @returns {*}
+   *   Promise that resolves with an object with the keys "renamed" and
+   *   "skipped" each holding an array of keys.
+   */
+  Cache.prototype.migratePrefix = function migratePrefix(patterns, dryRun) {
     var self = this;
+    var result = {
+      "renamed": [],
+      "skipped": []
+    };
 
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.flushdb();
+    if (!prefix) {
+      return Q.reject(new Error('Cache: no prefix is configured.'));
+    }
+    if (config.hasOwnProperty('cluster')) {
+      return Q.reject(new Error('Cache: keys can not be migrated to a prefix in a cluster.'));
+    }
+
+    /**
+     * Rename the keys one by one.
+     */
+    function rename(keys) {
+      return keys.reduce(function (promise, key) {
+        return promise.then(function () {
+          // Skip keys that already have the prefix (the prefix may start as
+          // one of the patterns).
+          if (key.indexOf(prefix) === 0) {
+            return;
+          }
+
+          if (dryRun) {
+            result.renamed.push(key);
+            return;
+          }
+
+          return execute(self, 'renamenx', [key, prefixKey(key)]).then(function (renamed) {
+            result[renamed ? 'renamed' : 'skipped'].push(key);
+          });
+        });
+      }, Q.resolve());
+    }
+
+    return patterns.reduce(function (promise, pattern) {
+      return promise.then(function () {
+        return scanKeys(self, pattern, rename);
+      });
+    }, Q.resolve()).then(function () {
+      self.logger.info('Cache: migrated ' + result.renamed.length + ' keys to prefix "' + prefix + '" (' + result.skipped.length + ' skipped).');
+      return result;
     });
+  };
 
-    // Connect.
-    connectCache(self);
+  /**
+   * Clear the cache.
+   */
+  Cache.prototype.clearAll = function clearAll(callback) {
+    var self = this;
+
+    // Other installations may use the same database, so only remove keys
+    // with this installation's prefix.
+    if (prefix) {
+      var promise = scanKeys(self, prefix + '*', function (keys) {
+        if (keys.length) {
+          return execute(self, 'del', [keys]);
+        }
+      });
+
+      promise.then(function () {
+        if (typeof callback === 'function') {
+          callback(null, 'OK');
+        }
+      }, function (err) {
+        if (typeof callback === 'function') {
+          callback(err);
+        }
+      });
+
+      return promise.then(function () {
+        return 'OK';
+      });
+    }
+
+    return execute(self, 'flushdb', [], callback);
   };
 
   /**
@@ -108,16 +607,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.set = function set(key, value, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      // Set the value into service.
-      self.service.set(key, value, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'set', [prefixKey(key), value], callback);
   };
 
   /**
@@ -129,16 +619,40 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.get = function get(key, callback) {
-    var self = this;
+    return execute(this, 'get', [prefixKey(key)], callback);
+  };
 
-    // Handle connection event.
-    self.once('connected', function () {
-      // Get value from service.
-      self.service.get(key, callback);
-    });
+  /**
+   * Get multiple values from the store in one round trip.
+   *
+   * @param keys
+   *   Array with the keys to retrieve values for.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is an array
+   *   with the values in the same order as the keys (null for keys not found).
+   */
+  Cache.prototype.getMultiple = function getMultiple(keys, callback) {
+    // The cache service do not accept empty key lists.
+    if (!keys.length) {
+      return resolveEmpty(callback);
+    }
 
-    // Connect.
-    connectCache(self);
+    return execute(this, 'mget', [keys.map(prefixKey)], callback);
+  };
+
+  /**
+   * Increment the integer value of a key by one.
+   *
+   * A key that do not exist is set to 0 before it's incremented.
+   *
+   * @param key
+   *   The key to increment.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is the new
+   *   value.
+   */
+  Cache.prototype.increment = function increment(key, callback) {
+    return execute(this, 'incr', [prefixKey(key)], callback);
   };
 
   /**
@@ -150,16 +664,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.remove = function remove(key, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      // Remove value from service.
-      self.service.del(key, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'del', [prefixKey(key)], callback);
   };
 
   /**
@@ -173,15 +678,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.addSet = function addSet(key, value, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.sadd(key, value, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'sadd', [prefixKey(key), value], callback);
   };
 
   /**
@@ -195,15 +692,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.removeSet = function removeSet(key, value, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.srem(key, value, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'srem', [prefixKey(key), value], callback);
   };
 
   /**
@@ -218,15 +707,148 @@ module.exports = function (options, imports, register) {
    *   The values if found else undefined.
    */
   Cache.prototype.membersOfSet = function membersOfSet(key, callback) {
-    var self = this;
+    return execute(this, 'smembers', [prefixKey(key)], callback);
+  };
 
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.smembers(key, callback);
-    });
+  /**
+   * Increment the integer value of a hash field.
+   *
+   * @param key
+   *   The key of the hash.
+   * @param field
+   *   The field to increment (set to 0 first if it do not exist).
+   * @param increment
+   *   The amount to increment by.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is the new
+   *   value.
+   */
+  Cache.prototype.hashIncrement = function hashIncrement(key, field, increment, callback) {
+    return execute(this, 'hincrby', [prefixKey(key), field, increment], callback);
+  };
 
-    // Connect.
-    connectCache(self);
+  /**
+   * Set the time to live of a key.
+   *
+   * @param key
+   *   The key to expire.
+   * @param expire
+   *   The expire in seconds.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res".
+   */
+  Cache.prototype.expire = function expire(key, expire, callback) {
+    return execute(this, 'expire', [prefixKey(key), expire], callback);
+  };
+
+  /**
+   * Add member to a sorted set or update its score.
+   *
+   * @param key
+   *   The key of the sorted set.
+   * @param score
+   *   The score (number) to sort the member by.
+   * @param member
+   *   The member to add.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res".
+   */
+  Cache.prototype.sortedSetAdd = function sortedSetAdd(key, score, member, callback) {
+    return execute(this, 'zadd', [prefixKey(key), score, member], callback);
+  };
+
+  /**
+   * Remove member from a sorted set.
+   *
+   * @param key
+   *   The key of the sorted set.
+   * @param member
+   *   The member to remove.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res".
+   */
+  Cache.prototype.sortedSetRemove = function sortedSetRemove(key, member, callback) {
+    return execute(this, 'zrem', [prefixKey(key), member], callback);
+  };
+
+  /**
+   * Get the score of a member in a sorted set.
+   *
+   * @param key
+   *   The key of the sorted set.
+   * @param member
+   *   The member to get the score for.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is the
+   *   score (string) or null if not found.
+   */
+  Cache.prototype.sortedSetScore = function sortedSetScore(key, member, callback) {
+    return execute(this, 'zscore', [prefixKey(key), member], callback);
+  };
+
+  /**
+   * Get the members of a sorted set with a score within a range.
+   *
+   * @param key
+   *   The key of the sorted set.
+   * @param min
+   *   The minimum score ("-inf" for no limit, prefix with "(" to exclude).
+   * @param max
+   *   The maximum score ("+inf" for no limit, prefix with "(" to exclude).
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is an array
+   *   with member and score pairs ordered by score ([member, score, member, score, ...]).
+   */
+  Cache.prototype.sortedSetRangeByScore = function sortedSetRangeByScore(key, min, max, callback) {
+    return execute(this, 'zrangebyscore', [prefixKey(key), min, max, 'WITHSCORES'], callback);
+  };
+
+  /**
+   * Add value to the head of a list.
+   *
+   * @param key
+   *   The key of the list.
+   * @param value
+   *   The value to add.
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is the
+   *   length of the list.
+   */
+  Cache.prototype.listPush = function listPush(key, value, callback) {
+    return execute(this, 'lpush', [prefixKey(key), value], callback);
+  };
+
+  /**
+   * Trim a list to the elements within a range.
+   *
+   * @param key
+   *   The key of the list.
+   * @param start
+   *   Index of the first element to keep (0 is the head).
+   * @param stop
+   *   Index of the last element to keep (negative counts from the end).
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res".
+   */
+  Cache.prototype.listTrim = function listTrim(key, start, stop, callback) {
+    return execute(this, 'ltrim', [prefixKey(key), start, stop], callback);
+  };
+
+  /**
+   * Get the elements of a list within a range.
+   *
+   * @param key
+   *   The key of the list.
+   * @param start
+   *   Index of the first element (0 is the head).
+   * @param stop
+   *   Index of the last element (-1 is the last element).
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is an array
+   *   with the elements.
+   */
+  Cache.prototype.listRange = function listRange(key, start, stop, callback) {
+    return execute(this, 'lrange', [prefixKey(key), start, stop], callback);
   };
 
   /**
@@ -242,15 +864,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.hashSet = function hashSet(key, field, value, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.hset(key, field, value, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'hset', [prefixKey(key), field, value], callback);
   };
 
   /**
@@ -264,15 +878,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.hashGet = function hashGet(key, field, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.hget(key, field, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'hget', [prefixKey(key), field], callback);
   };
 
   /**
@@ -286,15 +892,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.hashRemove = function hashRemove(key, field, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.hdel(key, field, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'hdel', [prefixKey(key), field], callback);
   };
 
   /**
@@ -308,15 +906,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.hashGetAllFields = function hashGetAllFields(key, hashes, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.hmget(key, hashes, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'hmget', [prefixKey(key), hashes], callback);
   };
 
   /**
@@ -328,15 +918,7 @@ module.exports = function (options, imports, register) {
    *   Callback function to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.hashGetAll = function hashGetAll(key, callback) {
-    var self = this;
-
-    // Handle connection event.
-    self.once('connected', function () {
-      self.service.hgetall(key, callback);
-    });
-
-    // Connect.
-    connectCache(self);
+    return execute(this, 'hgetall', [prefixKey(key)], callback);
   };
 
   /**
@@ -352,23 +934,128 @@ module.exports = function (options, imports, register) {
    *   Callback funcion to call on completion. It will send two parameters "err" and "res".
    */
   Cache.prototype.setExpire = function setExpire(key, value, expire, callback) {
-    var self = this;
+    return execute(this, 'setex', [prefixKey(key), expire, value], callback);
+  };
+
+  /**
+   * Send multiple commands to the store in one round trip.
+   *
+   * @param commands
+   *   Array of commands, each an array with the cache service command name
+   *   followed by the key and the other arguments
+   *   (e.g. [['get', 'screen:key:1'], ['smembers', 'channel:key']]).
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is an array
+   *   with the result of each command (failed commands are represented by an Error).
+   */
+  Cache.prototype.batch = function batch(commands, callback) {
+    if (!commands.length) {
+      return resolveEmpty(callback);
+    }
 
-    // Handle connection event.
-    self.once('connected', function () {
-      // Set the value into service.
-      self.service.setex(key, expire, value, callback);
+    // Add the prefix to the key of each command.
+    commands = commands.map(function (command) {
+      return [command[0], prefixKey(command[1])].concat(command.slice(2));
     });
 
-    // Connect.
-    connectCache(self);
+    return execute(this, 'batch', [commands], callback);
   };
 
-  // Define the cache service backend.
-  var backend = require('redis');
+  /**
+   * Send multiple commands to the store to be executed atomically.
+   *
+   * No other commands are executed in between (MULTI/EXEC). In a cluster all
+   * the keys must be in the same slot.
+   *
+   * @param commands
+   *   Array of commands, each an array with the cache service command name
+   *   followed by the key and the other arguments
+   *   (e.g. [['hgetall', 'queue:key:1'], ['del', 'queue:key:1']]).
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is an array
+   *   with the result of each command (failed commands are represented by an Error).
+   */
+  Cache.prototype.transaction = function transaction(commands, callback) {
+    if (!commands.length) {
+      return resolveEmpty(callback);
+    }
+
+    // Add the prefix to the key of each command.
+    commands = commands.map(function (command) {
+      return [command[0], prefixKey(command[1])].concat(command.slice(2));
+    });
+
+    return execute(this, 'transaction', [commands], callback);
+  };
+
+  /**
+   * Post a message to a pub/sub channel.
+   *
+   * @param channel
+   *   The channel to post the message to.
+   * @param message
+   *   The message (string).
+   * @param callback
+   *   Callback function to call on completion. It will send two parameters "err" and "res", where "res" is the
+   *   number of subscribers that received the message.
+   */
+  Cache.prototype.publish = function publish(channel, message, callback) {
+    return execute(this, 'publish', [prefixKey(channel), message], callback);
+  };
+
+  /**
+   * Listen for messages posted to a pub/sub channel.
+   *
+   * The subscription is kept over re-connections.
+   *
+   * @param channel
+   *   The channel to listen to.
+   * @param handler
+   *   Function called with the message and the channel for each message.
+   */
+  Cache.prototype.subscribe = function subscribe(channel, handler) {
+    channel = prefixKey(channel);
+
+    var known = this.handlers.hasOwnProperty(channel);
+    if (!known) {
+      this.handlers[channel] = [];
+    }
+    this.handlers[channel].push(handler);
+
+    if (this.subscriber === undefined) {
+      // The channel is subscribed when the connection is ready.
+      connectSubscriber(this);
+    }
+    else if (!known && this.subscribed) {
+      var self = this;
+      this.subscriber.subscribe(channel, function (err) {
+        if (err) {
+          self.logger.error('Cache: subscribe failed: ' + err.message);
+        }
+      });
+    }
+  };
+
+  // Define the cache service backend. Redis is used by default, but an
+  // in-process backend can be selected for development and testing. Redis
+  // behind sentinels or in a cluster is handled by ioredis.
+  var backend;
+  if (config.backend === 'memory') {
+    backend = require('./memory');
+  }
+  else if (config.hasOwnProperty('sentinels') || config.hasOwnProperty('cluster')) {
+    backend = require('./ioredis')(config);
+  }
+  else {
+    backend = require('redis');
+  }
+
+  // Start the connection right away, so the state reflects the service.
+  var cache = new Cache(backend);
+  cache.connect();
 
   // Register the plugin with the system.
   register(null, {
-    "cache": new Cache(backend)
+    "cache": cache
   });
 };
@@ -0,0 +1,385 @@
+/**
+ * @file
+ * Cache backend for redis behind sentinels or redis cluster.
+ *
+ * Wraps an ioredis client in the interface of the redis client used by the
+ * cache plugin (same commands, callbacks and events). The ioredis client
+ * follows fail-overs (sentinel) and re-sharding (cluster) by it self.
+ */
+
+// Core modules.
+var eventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// NPM modules.
+var Redis = require('ioredis');
+var Q = require('q');
+
+// Commands passed directly to the ioredis client.
+var COMMANDS = [
+  'get', 'set', 'setex', 'sadd', 'srem', 'smembers', 'hset', 'hget', 'hdel',
+  'hmget', 'renamenx', 'publish', 'subscribe', 'zadd', 'zrem', 'zscore',
+  'zrangebyscore', 'incr', 'hincrby', 'expire', 'lpush', 'ltrim', 'lrange'
+];
+
+/**
+ * Define the client object (constructor).
+ *
+ * @param config
+ *   The cache configuration (sentinels/name or cluster).
+ * @param options
+ *   Client options as given to redis.createClient().
+ */
+var IORedisClient = function IORedisClient(config, options) {
+  "use strict";
+
+  var self = this;
+
+  eventEmitter.call(self);
+
+  self.cluster = config.hasOwnProperty('cluster');
+
+  // Reconnect attempts and time spend on reconnecting since the connection
+  // was lost.
+  var attempt = 0;
+  var totalRetryTime = 0;
+  var retryStrategy = function (times) {
+    attempt = times;
+    var delay = options.retry_strategy({
+      "attempt": times,
+      "total_retry_time": totalRetryTime
+    });
+    totalRetryTime += delay;
+
+    return delay;
+  };
+
+  if (self.cluster) {
+    self.client = new Redis.Cluster(config.cluster, {
+      "enableOfflineQueue": false,
+      "clusterRetryStrategy": retryStrategy,
+      "redisOptions": {
+        "password": options.password
+      }
+    });
+  }
+  else {
+    self.client = new Redis({
+      "sentinels": config.sentinels,
+      "name": config.name,
+      "password": options.password,
+      "sentinelPassword": config.sentinelPassword,
+      "db": options.db,
+      "enableOfflineQueue": false,
+      "retryStrategy": retryStrategy,
+      "sentinelRetryStrategy": retryStrategy
+    });
+  }
+
+  // Translate the ioredis events to the events of the redis client.
+  self.client.on('ready', function () {
+    attempt = 0;
+    totalRetryTime = 0;
+    self.emit('ready');
+  });
+  self.client.on('error', function (err) {
+    self.emit('error', err);
+  });
+  self.client.on('close', function () {
+    self.emit('end');
+  });
+  self.client.on('message', function (channel, message) {
+    self.emit('message', channel, message);
+  });
+  self.client.on('reconnecting', function (delay) {
+    self.emit('reconnecting', {
+      "delay": delay,
+      "attempt": attempt
+    });
+  });
+};
+
+// Extend the object with event emitter.
+util.inherits(IORedisClient, eventEmitter);
+
+COMMANDS.forEach(function (name) {
+  "use strict";
+
+  IORedisClient.prototype[name] = function () {
+    return this.client[name].apply(this.client, arguments);
+  };
+});
+
+/**
+ * Close the connection.
+ *
+ * Stops reconnecting if the connection is not ready.
+ */
+IORedisClient.prototype.quit = function quit(callback) {
+  "use strict";
+
+  if (this.client.status === 'ready') {
+    this.client.quit(callback);
+  }
+  else {
+    this.client.disconnect();
+    if (typeof callback === 'function') {
+      callback(null, 'OK');
+    }
+  }
+};
+
+/**
+ * Get address of the redis server(s) connected to.
+ *
+ * @returns {string}
+ *   The master's address (sentinel) or the cluster nodes.
+ */
+IORedisClient.prototype.address = function address() {
+  "use strict";
+
+  if (this.cluster) {
+    return 'cluster nodes ' + this.client.nodes('master').map(function (node) {
+      return node.options.host + ':' + node.options.port;
+    }).join(', ');
+  }
+
+  var stream = this.client.stream;
+  if (stream && stream.remoteAddress) {
+    return 'master ' + stream.remoteAddress + ':' + stream.remotePort;
+  }
+
+  return 'master unknown';
+};
+
+/**
+ * Run a command on each master node in the cluster.
+ *
+ * @param self
+ *   The client.
+ * @param name
+ *   The command name.
+ * @param args
+ *   The command arguments.
+ * @param callback
+ *   Callback with "err" and an array with the result from each node.
+ */
+function eachMaster(self, name, args, callback) {
+  "use strict";
+
+  var nodes = self.client.nodes('master');
+  Q.all(nodes.map(function (node) {
+    return node[name].apply(node, args);
+  })).then(function (results) {
+    callback(null, results);
+  }, callback);
+}
+
+/**
+ * Run a command for each key one by one (keys may be on different nodes).
+ *
+ * @param self
+ *   The client.
+ * @param name
+ *   The command name.
+ * @param keys
+ *   The keys.
+ * @param callback
+ *   Callback with "err" and an array with the result for each key.
+ */
+function eachKey(self, name, keys, callback) {
+  "use strict";
+
+  Q.all(keys.map(function (key) {
+    return self.client[name](key);
+  })).then(function (results) {
+    callback(null, results);
+  }, callback);
+}
+
+/**
+ * Get all fields and values of a hash.
+ *
+ * ioredis returns an empty object for missing keys, the redis client null.
+ */
+IORedisClient.prototype.hgetall = function hgetall(key, callback) {
+  "use strict";
+
+  this.client.hgetall(key, function (err, res) {
+    if (!err && res !== null && !Object.keys(res).length) {
+      res = null;
+    }
+    callback(err, res);
+  });
+};
+
+/**
+ * Get multiple values.
+ *
+ * In a cluster the keys may live on different nodes, so they are fetched one
+ * by one.
+ */
+IORedisClient.prototype.mget = function mget(keys, callback) {
+  "use strict";
+
+  if (this.cluster) {
+    eachKey(this, 'get', keys, callback);
+  }
+  else {
+    this.client.mget(keys, callback);
+  }
+};
+
+/**
+ * Delete one or more keys.
+ */
+IORedisClient.prototype.del = function del(keys, callback) {
+  "use strict";
+
+  keys = Array.isArray(keys) ? keys : [keys];
+  if (this.cluster) {
+    eachKey(this, 'del', keys, function (err, results) {
+      callback(err, err ? undefined : results.reduce(function (sum, count) {
+        return sum + count;
+      }, 0));
+    });
+  }
+  else {
+    this.client.del(keys, callback);
+  }
+};
+
+/**
+ * Remove all keys (from all master nodes in a cluster).
+ */
+IORedisClient.prototype.flushdb = function flushdb(callback) {
+  "use strict";
+
+  if (this.cluster) {
+    eachMaster(this, 'flushdb', [], function (err) {
+      callback(err, err ? undefined : 'OK');
+    });
+  }
+  else {
+    this.client.flushdb(callback);
+  }
+};
+
+/**
+ * Iterate over keys.
+ *
+ * In a cluster all master nodes are scanned to the end in one go and the
+ * cursor returned is always "0".
+ */
+IORedisClient.prototype.scan = function scan() {
+  "use strict";
+
+  var args = Array.prototype.slice.call(arguments);
+  var callback = args.pop();
+
+  if (!this.cluster) {
+    return this.client.scan.apply(this.client, args.concat([callback]));
+  }
+
+  var options = args.slice(1);
+  Q.all(this.client.nodes('master').map(function (node) {
+    var keys = [];
+    function next(cursor) {
+      return node.scan.apply(node, [cursor].concat(options)).then(function (res) {
+        keys = keys.concat(res[1]);
+        return res[0] === '0' ? keys : next(res[0]);
+      });
+    }
+
+    return next('0');
+  })).then(function (results) {
+    callback(null, ['0', [].concat.apply([], results)]);
+  }, callback);
+};
+
+/**
+ * Create batch of commands that are send in one round trip.
+ *
+ * In a cluster the keys may live on different nodes, so the commands are
+ * send one by one.
+ *
+ * @param commands
+ *   Array of commands, each an array with the command name and arguments.
+ *
+ * @returns {{exec: Function}}
+ *   Object with "exec" function that sends the commands and an array with the
+ *   results (or errors) to the callback given.
+ */
+IORedisClient.prototype.batch = function batch(commands) {
+  "use strict";
+
+  var self = this;
+
+  return {
+    "exec": function exec(callback) {
+      if (self.cluster) {
+        Q.all(commands.map(function (command) {
+          return self.client[command[0]].apply(self.client, command.slice(1)).then(null, function (err) {
+            return err;
+          });
+        })).then(function (results) {
+          callback(null, results);
+        });
+      }
+      else {
+        self.client.pipeline(commands).exec(function (err, results) {
+          callback(err, err ? undefined : results.map(function (result) {
+            return result[0] ? result[0] : result[1];
+          }));
+        });
+      }
+    }
+  };
+};
+
+/**
+ * Create a transaction of commands that are executed atomically.
+ *
+ * In a cluster all the keys must be in the same slot.
+ *
+ * @param commands
+ *   Array of commands, each an array with the command name and arguments.
+ *
+ * @returns {{exec: Function}}
+ *   Object with "exec" function that sends the commands and an array with the
+ *   results (or errors) to the callback given.
+ */
+IORedisClient.prototype.multi = function multi(commands) {
+  "use strict";
+
+  var self = this;
+
+  return {
+    "exec": function exec(callback) {
+      self.client.multi(commands).exec(function (err, results) {
+        callback(err, err ? undefined : results.map(function (result) {
+          return result[0] ? result[0] : result[1];
+        }));
+      });
+    }
+  };
+};
+
+/**
+ * Create a factory for clients using the given configuration.
+ *
+ * @param config
+ *   The cache configuration.
+ *
+ * @returns {{createClient: Function}}
+ *   Object with createClient() matching redis.createClient(port, host, options).
+ */
+module.exports = function (config) {
+  "use strict";
+
+  return {
+    "createClient": function createClient(port, host, options) {
+      return new IORedisClient(config, options);
+    }
+  };
+};
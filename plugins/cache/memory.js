@@ -0,0 +1,1002 @@
+/**
+ * @file
+ * In-process cache backend that mimics the parts of the redis client used by
+ * the cache plugin. It makes it possible to run the middleware without a redis
+ * server (e.g. during development and in integration tests).
+ *
+ * All data is lost when the process exits.
+ */
+
+// Core modules.
+var eventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// Databases shared between all clients in this process (like a redis server).
+var databases = {};
+
+// Clients subscribed to each pub/sub channel in this process.
+var subscribers = {};
+
+// Error send when a command is used on a key holding another type.
+var WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+/**
+ * Define the client object (constructor).
+ *
+ * @param options
+ *   Client options. Only "db" is used.
+ */
+var MemoryClient = function MemoryClient(options) {
+  "use strict";
+
+  var self = this;
+
+  eventEmitter.call(self);
+
+  self.db = (options && options.db) ? options.db : 0;
+  self.connected = false;
+
+  // Fake the async connection to match the redis client.
+  setImmediate(function () {
+    self.connected = true;
+    self.emit('connect');
+    self.emit('ready');
+  });
+};
+
+// Extend the object with event emitter.
+util.inherits(MemoryClient, eventEmitter);
+
+/**
+ * Get the current database.
+ *
+ * @param self
+ *   The client.
+ *
+ * @returns {object}
+ *   The key/entry map for the selected database.
+ */
+function database(self) {
+  "use strict";
+
+  if (!databases.hasOwnProperty(self.db)) {
+    databases[self.db] = {};
+  }
+
+  return databases[self.db];
+}
+
+/**
+ * Lookup an entry and remove it if it has expired.
+ *
+ * @param self
+ *   The client.
+ * @param key
+ *   The key to lookup.
+ *
+ * @returns {*}
+ *   The entry ({ type, value, expires }) or undefined.
+ */
+function lookup(self, key) {
+  "use strict";
+
+  var db = database(self);
+  var entry = db[key];
+
+  if (entry !== undefined && entry.expires !== undefined && entry.expires <= Date.now()) {
+    delete db[key];
+    entry = undefined;
+  }
+
+  return entry;
+}
+
+/**
+ * Lookup an entry of a given type and create it if it do not exists.
+ *
+ * @param self
+ *   The client.
+ * @param key
+ *   The key to lookup.
+ * @param type
+ *   The type of value the key should hold.
+ * @param create
+ *   Function that returns the empty value of the type.
+ *
+ * @returns {*}
+ *   The entry or an Error if the key holds another type.
+ */
+function lookupType(self, key, type, create) {
+  "use strict";
+
+  var entry = lookup(self, key);
+
+  if (entry === undefined) {
+    entry = { "type": type, "value": create() };
+    database(self)[key] = entry;
+  }
+  else if (entry.type !== type) {
+    return new Error(WRONGTYPE);
+  }
+
+  return entry;
+}
+
+/**
+ * Remove entry if its value has become empty (as redis does).
+ *
+ * @param self
+ *   The client.
+ * @param key
+ *   The key to check.
+ * @param size
+ *   The number of elements left in the value.
+ */
+function dropEmpty(self, key, size) {
+  "use strict";
+
+  if (size === 0) {
+    delete database(self)[key];
+  }
+}
+
+/**
+ * Normalize command arguments to a flat list of strings.
+ *
+ * @param values
+ *   Array (or array of arrays) of values.
+ *
+ * @returns {Array}
+ *   Flat list of strings.
+ */
+function flatten(values) {
+  "use strict";
+
+  var list = [];
+  for (var i = 0; i < values.length; i++) {
+    if (Array.isArray(values[i])) {
+      list = list.concat(flatten(values[i]));
+    }
+    else {
+      list.push(String(values[i]));
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Send the result back to the callback async (as redis does).
+ *
+ * @param callback
+ *   Callback function to call. It will send two parameters "err" and "res".
+ * @param err
+ *   Error object or null.
+ * @param res
+ *   The result.
+ */
+function reply(callback, err, res) {
+  "use strict";
+
+  if (typeof callback === 'function') {
+    setImmediate(function () {
+      callback(err, res);
+    });
+  }
+}
+
+/**
+ * Split command arguments into values and (optional) callback.
+ *
+ * @param args
+ *   The "arguments" object.
+ * @param offset
+ *   Index of the first value argument.
+ *
+ * @returns {{values: Array, callback: *}}
+ */
+function parseArgs(args, offset) {
+  "use strict";
+
+  var values = Array.prototype.slice.call(args, offset);
+  var callback;
+  if (values.length && typeof values[values.length - 1] === 'function') {
+    callback = values.pop();
+  }
+
+  return { "values": flatten(values), "callback": callback };
+}
+
+/**
+ * Select database.
+ */
+MemoryClient.prototype.select = function select(db, callback) {
+  "use strict";
+
+  this.db = db;
+  reply(callback, null, 'OK');
+};
+
+/**
+ * Close the connection.
+ */
+MemoryClient.prototype.quit = function quit(callback) {
+  "use strict";
+
+  var self = this;
+
+  self.connected = false;
+  self.unsubscribe();
+  reply(callback, null, 'OK');
+  setImmediate(function () {
+    self.emit('end');
+  });
+};
+
+/**
+ * Remove all keys from the current database.
+ */
+MemoryClient.prototype.flushdb = function flushdb(callback) {
+  "use strict";
+
+  databases[this.db] = {};
+  reply(callback, null, 'OK');
+};
+
+/**
+ * Set string value.
+ */
+MemoryClient.prototype.set = function set(key, value, callback) {
+  "use strict";
+
+  database(this)[key] = { "type": 'string', "value": String(value) };
+  reply(callback, null, 'OK');
+};
+
+/**
+ * Set string value with expire (in seconds).
+ */
+MemoryClient.prototype.setex = function setex(key, expire, value, callback) {
+  "use strict";
+
+  database(this)[key] = {
+    "type": 'string',
+    "value": String(value),
+    "expires": Date.now() + (parseInt(expire, 10) * 1000)
+  };
+  reply(callback, null, 'OK');
+};
+
+/**
+ * Get string value.
+ */
+MemoryClient.prototype.get = function get(key, callback) {
+  "use strict";
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    reply(callback, null, null);
+  }
+  else if (entry.type !== 'string') {
+    reply(callback, new Error(WRONGTYPE));
+  }
+  else {
+    reply(callback, null, entry.value);
+  }
+};
+
+/**
+ * Increment the integer value of a key by one.
+ */
+MemoryClient.prototype.incr = function incr(key, callback) {
+  "use strict";
+
+  var entry = lookupType(this, key, 'string', function () { return '0'; });
+  if (entry instanceof Error) {
+    return reply(callback, entry);
+  }
+
+  var value = parseInt(entry.value, 10);
+  if (isNaN(value) || String(value) !== entry.value) {
+    return reply(callback, new Error('ERR value is not an integer or out of range'));
+  }
+
+  entry.value = String(value + 1);
+  reply(callback, null, value + 1);
+};
+
+/**
+ * Get multiple string values.
+ */
+MemoryClient.prototype.mget = function mget() {
+  "use strict";
+
+  var args = parseArgs(arguments, 0);
+  var values = [];
+
+  for (var i = 0; i < args.values.length; i++) {
+    var entry = lookup(this, args.values[i]);
+    values.push((entry !== undefined && entry.type === 'string') ? entry.value : null);
+  }
+
+  reply(args.callback, null, values);
+};
+
+/**
+ * Delete one or more keys.
+ */
+MemoryClient.prototype.del = function del() {
+  "use strict";
+
+  var args = parseArgs(arguments, 0);
+  var db = database(this);
+  var count = 0;
+
+  for (var i = 0; i < args.values.length; i++) {
+    if (lookup(this, args.values[i]) !== undefined) {
+      delete db[args.values[i]];
+      count++;
+    }
+  }
+
+  reply(args.callback, null, count);
+};
+
+/**
+ * Rename key if the new key do not exists.
+ */
+MemoryClient.prototype.renamenx = function renamenx(key, newKey, callback) {
+  "use strict";
+
+  var db = database(this);
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    return reply(callback, new Error('ERR no such key'));
+  }
+  if (lookup(this, newKey) !== undefined) {
+    return reply(callback, null, 0);
+  }
+
+  db[newKey] = entry;
+  delete db[key];
+
+  reply(callback, null, 1);
+};
+
+/**
+ * Iterate over keys.
+ *
+ * All keys are returned in one go, so the cursor is always "0". Only the
+ * "MATCH" option is supported.
+ */
+MemoryClient.prototype.scan = function scan() {
+  "use strict";
+
+  var args = parseArgs(arguments, 1);
+  var pattern = '*';
+  for (var i = 0; i < args.values.length - 1; i++) {
+    if (args.values[i].toUpperCase() === 'MATCH') {
+      pattern = args.values[i + 1];
+    }
+  }
+
+  // Convert the glob style pattern to a regular expression.
+  var regex = new RegExp('^' + pattern.split('').map(function (c) {
+    if (c === '*') {
+      return '.*';
+    }
+    if (c === '?') {
+      return '.';
+    }
+    return c.replace(/[\-\[\]\/{}()+.\\^$|]/g, '\\$&');
+  }).join('') + '$');
+
+  var self = this;
+  var keys = Object.keys(database(self)).filter(function (key) {
+    return regex.test(key) && lookup(self, key) !== undefined;
+  });
+
+  reply(args.callback, null, ['0', keys]);
+};
+
+/**
+ * Add members to a set.
+ */
+MemoryClient.prototype.sadd = function sadd(key) {
+  "use strict";
+
+  var args = parseArgs(arguments, 1);
+  var entry = lookupType(this, key, 'set', function () { return {}; });
+  if (entry instanceof Error) {
+    return reply(args.callback, entry);
+  }
+
+  var count = 0;
+  for (var i = 0; i < args.values.length; i++) {
+    if (!entry.value.hasOwnProperty(args.values[i])) {
+      entry.value[args.values[i]] = true;
+      count++;
+    }
+  }
+
+  reply(args.callback, null, count);
+};
+
+/**
+ * Remove members from a set.
+ */
+MemoryClient.prototype.srem = function srem(key) {
+  "use strict";
+
+  var args = parseArgs(arguments, 1);
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    return reply(args.callback, null, 0);
+  }
+  if (entry.type !== 'set') {
+    return reply(args.callback, new Error(WRONGTYPE));
+  }
+
+  var count = 0;
+  for (var i = 0; i < args.values.length; i++) {
+    if (entry.value.hasOwnProperty(args.values[i])) {
+      delete entry.value[args.values[i]];
+      count++;
+    }
+  }
+  dropEmpty(this, key, Object.keys(entry.value).length);
+
+  reply(args.callback, null, count);
+};
+
+/**
+ * Get all members of a set.
+ */
+MemoryClient.prototype.smembers = function smembers(key, callback) {
+  "use strict";
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    reply(callback, null, []);
+  }
+  else if (entry.type !== 'set') {
+    reply(callback, new Error(WRONGTYPE));
+  }
+  else {
+    reply(callback, null, Object.keys(entry.value));
+  }
+};
+
+/**
+ * Parse a score range limit (e.g. "-inf", "+inf", "10" or "(10").
+ *
+ * @param limit
+ *   The limit given to the command.
+ *
+ * @returns {{value: number, exclusive: boolean}}
+ */
+function parseLimit(limit) {
+  "use strict";
+
+  limit = String(limit);
+  var exclusive = limit.charAt(0) === '(';
+  if (exclusive) {
+    limit = limit.substr(1);
+  }
+
+  var value = Number(limit);
+  if (limit === '-inf') {
+    value = -Infinity;
+  }
+  else if (limit === '+inf' || limit === 'inf') {
+    value = Infinity;
+  }
+
+  return { "value": value, "exclusive": exclusive };
+}
+
+/**
+ * Add members with scores to a sorted set (score, member, score, member...).
+ */
+MemoryClient.prototype.zadd = function zadd(key) {
+  "use strict";
+
+  var args = parseArgs(arguments, 1);
+  var entry = lookupType(this, key, 'zset', function () { return {}; });
+  if (entry instanceof Error) {
+    return reply(args.callback, entry);
+  }
+
+  var count = 0;
+  for (var i = 0; i + 1 < args.values.length; i += 2) {
+    if (!entry.value.hasOwnProperty(args.values[i + 1])) {
+      count++;
+    }
+    entry.value[args.values[i + 1]] = Number(args.values[i]);
+  }
+
+  reply(args.callback, null, count);
+};
+
+/**
+ * Remove members from a sorted set.
+ */
+MemoryClient.prototype.zrem = function zrem(key) {
+  "use strict";
+
+  var args = parseArgs(arguments, 1);
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    return reply(args.callback, null, 0);
+  }
+  if (entry.type !== 'zset') {
+    return reply(args.callback, new Error(WRONGTYPE));
+  }
+
+  var count = 0;
+  for (var i = 0; i < args.values.length; i++) {
+    if (entry.value.hasOwnProperty(args.values[i])) {
+      delete entry.value[args.values[i]];
+      count++;
+    }
+  }
+  dropEmpty(this, key, Object.keys(entry.value).length);
+
+  reply(args.callback, null, count);
+};
+
+/**
+ * Get the score of a member in a sorted set.
+ */
+MemoryClient.prototype.zscore = function zscore(key, member, callback) {
+  "use strict";
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    reply(callback, null, null);
+  }
+  else if (entry.type !== 'zset') {
+    reply(callback, new Error(WRONGTYPE));
+  }
+  else {
+    reply(callback, null, entry.value.hasOwnProperty(member) ? String(entry.value[member]) : null);
+  }
+};
+
+/**
+ * Get the members of a sorted set with a score in the range given.
+ *
+ * Supports the "WITHSCORES" option.
+ */
+MemoryClient.prototype.zrangebyscore = function zrangebyscore(key, min, max) {
+  "use strict";
+
+  var args = parseArgs(arguments, 3);
+  var withScores = args.values.length && String(args.values[0]).toUpperCase() === 'WITHSCORES';
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    return reply(args.callback, null, []);
+  }
+  if (entry.type !== 'zset') {
+    return reply(args.callback, new Error(WRONGTYPE));
+  }
+
+  min = parseLimit(min);
+  max = parseLimit(max);
+
+  var members = Object.keys(entry.value).filter(function (member) {
+    var score = entry.value[member];
+    return (min.exclusive ? score > min.value : score >= min.value) &&
+      (max.exclusive ? score < max.value : score <= max.value);
+  }).sort(function (a, b) {
+    if (entry.value[a] !== entry.value[b]) {
+      return entry.value[a] - entry.value[b];
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+  });
+
+  var res = [];
+  for (var i = 0; i < members.length; i++) {
+    res.push(members[i]);
+    if (withScores) {
+      res.push(String(entry.value[members[i]]));
+    }
+  }
+
+  reply(args.callback, null, res);
+};
+
+/**
+ * Set hash field.
+ */
+MemoryClient.prototype.hset = function hset(key, field, value, callback) {
+  "use strict";
+
+  var entry = lookupType(this, key, 'hash', function () { return {}; });
+  if (entry instanceof Error) {
+    return reply(callback, entry);
+  }
+
+  var created = entry.value.hasOwnProperty(field) ? 0 : 1;
+  entry.value[field] = String(value);
+
+  reply(callback, null, created);
+};
+
+/**
+ * Increment the integer value of a hash field.
+ */
+MemoryClient.prototype.hincrby = function hincrby(key, field, increment, callback) {
+  "use strict";
+
+  var entry = lookupType(this, key, 'hash', function () { return {}; });
+  if (entry instanceof Error) {
+    return reply(callback, entry);
+  }
+
+  var value = entry.value.hasOwnProperty(field) ? parseInt(entry.value[field], 10) : 0;
+  if (isNaN(value)) {
+    return reply(callback, new Error('ERR hash value is not an integer'));
+  }
+
+  value += parseInt(increment, 10);
+  entry.value[field] = String(value);
+
+  reply(callback, null, value);
+};
+
+/**
+ * Set a key's time to live in seconds.
+ */
+MemoryClient.prototype.expire = function expire(key, seconds, callback) {
+  "use strict";
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    return reply(callback, null, 0);
+  }
+
+  entry.expires = Date.now() + (parseInt(seconds, 10) * 1000);
+  reply(callback, null, 1);
+};
+
+/**
+ * Get hash field.
+ */
+MemoryClient.prototype.hget = function hget(key, field, callback) {
+  "use strict";
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    reply(callback, null, null);
+  }
+  else if (entry.type !== 'hash') {
+    reply(callback, new Error(WRONGTYPE));
+  }
+  else {
+    reply(callback, null, entry.value.hasOwnProperty(field) ? entry.value[field] : null);
+  }
+};
+
+/**
+ * Remove hash fields.
+ */
+MemoryClient.prototype.hdel = function hdel(key) {
+  "use strict";
+
+  var args = parseArgs(arguments, 1);
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    return reply(args.callback, null, 0);
+  }
+  if (entry.type !== 'hash') {
+    return reply(args.callback, new Error(WRONGTYPE));
+  }
+
+  var count = 0;
+  for (var i = 0; i < args.values.length; i++) {
+    if (entry.value.hasOwnProperty(args.values[i])) {
+      delete entry.value[args.values[i]];
+      count++;
+    }
+  }
+  dropEmpty(this, key, Object.keys(entry.value).length);
+
+  reply(args.callback, null, count);
+};
+
+/**
+ * Get multiple hash fields.
+ */
+MemoryClient.prototype.hmget = function hmget(key) {
+  "use strict";
+
+  var args = parseArgs(arguments, 1);
+  var entry = lookup(this, key);
+  if (entry !== undefined && entry.type !== 'hash') {
+    return reply(args.callback, new Error(WRONGTYPE));
+  }
+
+  var values = [];
+  for (var i = 0; i < args.values.length; i++) {
+    var field = args.values[i];
+    values.push((entry !== undefined && entry.value.hasOwnProperty(field)) ? entry.value[field] : null);
+  }
+
+  reply(args.callback, null, values);
+};
+
+/**
+ * Get all fields and values of a hash.
+ */
+MemoryClient.prototype.hgetall = function hgetall(key, callback) {
+  "use strict";
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    // The redis client returns null for empty hashes.
+    reply(callback, null, null);
+  }
+  else if (entry.type !== 'hash') {
+    reply(callback, new Error(WRONGTYPE));
+  }
+  else {
+    var values = {};
+    for (var field in entry.value) {
+      values[field] = entry.value[field];
+    }
+    reply(callback, null, values);
+  }
+};
+
+/**
+ * Convert list start and stop indexes (negative counts from the end) to a
+ * slice of the list.
+ *
+ * @param length
+ *   Length of the list.
+ * @param start
+ *   The start index.
+ * @param stop
+ *   The stop index (inclusive).
+ *
+ * @returns {{start: number, end: number}}
+ *   Start and (exclusive) end usable with Array.slice().
+ */
+function listSlice(length, start, stop) {
+  "use strict";
+
+  start = parseInt(start, 10);
+  stop = parseInt(stop, 10);
+  if (start < 0) {
+    start = Math.max(length + start, 0);
+  }
+  if (stop < 0) {
+    stop = length + stop;
+  }
+
+  return { "start": start, "end": Math.max(Math.min(stop + 1, length), start) };
+}
+
+/**
+ * Add values to the head of a list.
+ *
+ * Replies with the length of the list.
+ */
+MemoryClient.prototype.lpush = function lpush(key) {
+  "use strict";
+
+  var args = parseArgs(arguments, 1);
+  var entry = lookupType(this, key, 'list', function () { return []; });
+  if (entry instanceof Error) {
+    return reply(args.callback, entry);
+  }
+
+  for (var i = 0; i < args.values.length; i++) {
+    entry.value.unshift(args.values[i]);
+  }
+
+  reply(args.callback, null, entry.value.length);
+};
+
+/**
+ * Trim a list to the elements within a range.
+ */
+MemoryClient.prototype.ltrim = function ltrim(key, start, stop, callback) {
+  "use strict";
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    return reply(callback, null, 'OK');
+  }
+  if (entry.type !== 'list') {
+    return reply(callback, new Error(WRONGTYPE));
+  }
+
+  var slice = listSlice(entry.value.length, start, stop);
+  entry.value = entry.value.slice(slice.start, slice.end);
+  dropEmpty(this, key, entry.value.length);
+
+  reply(callback, null, 'OK');
+};
+
+/**
+ * Get the elements of a list within a range.
+ */
+MemoryClient.prototype.lrange = function lrange(key, start, stop, callback) {
+  "use strict";
+
+  var entry = lookup(this, key);
+  if (entry === undefined) {
+    return reply(callback, null, []);
+  }
+  if (entry.type !== 'list') {
+    return reply(callback, new Error(WRONGTYPE));
+  }
+
+  var slice = listSlice(entry.value.length, start, stop);
+  reply(callback, null, entry.value.slice(slice.start, slice.end));
+};
+
+/**
+ * Create batch of commands that are executed together.
+ *
+ * @param commands
+ *   Array of commands, each an array with the command name and arguments.
+ *
+ * @returns {{exec: Function}}
+ *   Object with "exec" function that executes the commands and sends an array
+ *   with the results to the callback given.
+ */
+MemoryClient.prototype.batch = function batch(commands) {
+  "use strict";
+
+  var self = this;
+
+  return {
+    "exec": function exec(callback) {
+      var results = [];
+
+      // Execute the commands one by one to keep the order.
+      function next(index) {
+        if (index >= commands.length) {
+          return reply(callback, null, results);
+        }
+
+        var name = commands[index][0];
+        var args = commands[index].slice(1);
+        if (typeof self[name] !== 'function') {
+          results.push(new Error('ERR unknown command \'' + name + '\''));
+          return next(index + 1);
+        }
+
+        self[name].apply(self, args.concat([function (err, res) {
+          results.push(err ? err : res);
+          next(index + 1);
+        }]));
+      }
+
+      next(0);
+    }
+  };
+};
+
+/**
+ * Create a transaction of commands that are executed atomically.
+ *
+ * The commands change the store synchronously, so they are all executed
+ * before any other command.
+ *
+ * @param commands
+ *   Array of commands, each an array with the command name and arguments.
+ *
+ * @returns {{exec: Function}}
+ *   Object with "exec" function that executes the commands and sends an array
+ *   with the results to the callback given.
+ */
+MemoryClient.prototype.multi = function multi(commands) {
+  "use strict";
+
+  var self = this;
+
+  return {
+    "exec": function exec(callback) {
+      var results = [];
+      var pending = commands.length;
+
+      commands.forEach(function (command, index) {
+        var name = command[0];
+        if (typeof self[name] !== 'function') {
+          results[index] = new Error('ERR unknown command \'' + name + '\'');
+          pending--;
+          return;
+        }
+
+        self[name].apply(self, command.slice(1).concat([function (err, res) {
+          results[index] = err ? err : res;
+          if (--pending === 0) {
+            callback(null, results);
+          }
+        }]));
+      });
+
+      if (pending === 0) {
+        reply(callback, null, results);
+      }
+    }
+  };
+};
+
+/**
+ * Post a message to a channel.
+ *
+ * Replies with the number of clients that received the message.
+ */
+MemoryClient.prototype.publish = function publish(channel, message, callback) {
+  "use strict";
+
+  var clients = subscribers.hasOwnProperty(channel) ? subscribers[channel].slice() : [];
+  setImmediate(function () {
+    clients.forEach(function (client) {
+      client.emit('message', channel, message);
+    });
+  });
+
+  reply(callback, null, clients.length);
+};
+
+/**
+ * Listen for messages on one or more channels.
+ */
+MemoryClient.prototype.subscribe = function subscribe() {
+  "use strict";
+
+  var self = this;
+  var args = parseArgs(arguments, 0);
+
+  args.values.forEach(function (channel) {
+    if (!subscribers.hasOwnProperty(channel)) {
+      subscribers[channel] = [];
+    }
+    if (subscribers[channel].indexOf(self) === -1) {
+      subscribers[channel].push(self);
+    }
+  });
+
+  reply(args.callback, null, args.values[args.values.length - 1]);
+};
+
+/**
+ * Stop listening for messages on the given channels (or all channels).
+ */
+MemoryClient.prototype.unsubscribe = function unsubscribe() {
+  "use strict";
+
+  var self = this;
+  var args = parseArgs(arguments, 0);
+  var channels = args.values.length ? args.values : Object.keys(subscribers);
+
+  channels.forEach(function (channel) {
+    var index = subscribers.hasOwnProperty(channel) ? subscribers[channel].indexOf(self) : -1;
+    if (index !== -1) {
+      subscribers[channel].splice(index, 1);
+      if (!subscribers[channel].length) {
+        delete subscribers[channel];
+      }
+    }
+  });
+
+  reply(args.callback, null, channels.length ? channels[channels.length - 1] : null);
+};
+
+/**
+ * Create a new client.
+ *
+ * The signature matches redis.createClient(port, host, options).
+ */
+module.exports.createClient = function createClient(port, host, options) {
+  "use strict";
+
+  return new MemoryClient(options);
+};
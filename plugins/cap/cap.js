@@ -0,0 +1,607 @@
+/**
+ * @file
+ * Common Alerting Protocol (CAP 1.2) ingestion.
+ *
+ * Alerts posted to /api/cap are validated and mapped to the screens of the
+ * configured API keys, where they are displayed as a generated alert channel.
+ * The channel is removed again when a Cancel (or Update) message references
+ * the alert or when it expires.
+ */
+
+var Q = require('q');
+var crypto = require('crypto');
+var xml2js = require('xml2js');
+var bodyParser = require('body-parser');
+
+// CAP 1.2 namespace.
+var NAMESPACE = 'urn:oasis:names:tc:emergency:cap:1.2';
+
+// Allowed values of the enumerated elements.
+var VALUES = {
+  "status": ['Actual', 'Exercise', 'System', 'Test', 'Draft'],
+  "msgType": ['Alert', 'Update', 'Cancel', 'Ack', 'Error'],
+  "scope": ['Public', 'Restricted', 'Private'],
+  "urgency": ['Immediate', 'Expected', 'Future', 'Past', 'Unknown'],
+  "severity": ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown'],
+  "certainty": ['Observed', 'Likely', 'Possible', 'Unlikely', 'Unknown']
+};
+
+// Set with the keys of the alerts displayed.
+var ACTIVE = 'cap:active';
+
+// Parser options. Namespace prefixes are stripped from the element names (the
+// resolved namespace is kept in "$ns"), so "cap:alert" is read as "alert".
+var PARSER_OPTIONS = {
+  "xmlns": true,
+  "tagNameProcessors": [xml2js.processors.stripPrefix]
+};
+
+/**
+ * Get the text of the first element with a given name.
+ *
+ * @param element
+ *   The parsed parent element.
+ * @param name
+ *   The child element name.
+ *
+ * @returns {string|undefined}
+ */
+function text(element, name) {
+  "use strict";
+
+  if (!element || !element.hasOwnProperty(name)) {
+    return undefined;
+  }
+
+  var value = element[name][0];
+  if (value && typeof value === 'object') {
+    value = value._;
+  }
+  return typeof value === 'string' ? value.trim() : undefined;
+}
+
+/**
+ * Get the elements with a given name.
+ *
+ * @param element
+ *   The parsed parent element.
+ * @param name
+ *   The child element name.
+ *
+ * @returns {Array}
+ */
+function list(element, name) {
+  "use strict";
+
+  return element && element.hasOwnProperty(name) ? element[name] : [];
+}
+
+/**
+ * Convert a CAP date time to an unix timestamp.
+ *
+ * @param value
+ *   The date time (e.g. "2018-10-01T16:49:00-07:00").
+ *
+ * @returns {number|undefined}
+ */
+function timestamp(value) {
+  "use strict";
+
+  var time = Date.parse(value);
+  return isNaN(time) ? undefined : Math.round(time / 1000);
+}
+
+/**
+ * Get the key an alert is stored under.
+ *
+ * @param sender
+ *   The alert's sender.
+ * @param identifier
+ *   The alert's identifier.
+ *
+ * @returns {string}
+ *   Hash identifying the alert.
+ */
+function alertHash(sender, identifier) {
+  "use strict";
+
+  return crypto.createHash('sha1').update(sender + ',' + identifier).digest('hex').substr(0, 16);
+}
+
+/**
+ * Compare tokens in constant time.
+ *
+ * The tokens are hashed first, as timingSafeEqual() needs values of the same
+ * length.
+ *
+ * @param given
+ *   The token given in the request.
+ * @param token
+ *   The configured token.
+ *
+ * @returns {boolean}
+ */
+function sameToken(given, token) {
+  "use strict";
+
+  var hash = function (value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+  };
+
+  return crypto.timingSafeEqual(hash(given), hash(token));
+}
+
+/**
+ * Validate a parsed CAP document.
+ *
+ * @param doc
+ *   The document parsed by xml2js with PARSER_OPTIONS.
+ *
+ * @returns {Array}
+ *   Messages describing each problem found (empty if valid).
+ */
+function validate(doc) {
+  "use strict";
+
+  var errors = [];
+
+  if (!doc || !doc.hasOwnProperty('alert')) {
+    return ['The document should have an "alert" root element.'];
+  }
+
+  var alert = doc.alert;
+  if (!alert.$ns || alert.$ns.uri !== NAMESPACE) {
+    errors.push('The alert should use the CAP 1.2 namespace "' + NAMESPACE + '".');
+  }
+
+  ['identifier', 'sender', 'sent', 'status', 'msgType', 'scope'].forEach(function (name) {
+    if (!text(alert, name)) {
+      errors.push('The alert is missing "' + name + '".');
+    }
+  });
+
+  ['status', 'msgType', 'scope'].forEach(function (name) {
+    var value = text(alert, name);
+    if (value && VALUES[name].indexOf(value) === -1) {
+      errors.push('The alert "' + name + '" should be one of ' + VALUES[name].join(', ') + '.');
+    }
+  });
+
+  if (text(alert, 'sent') && timestamp(text(alert, 'sent')) === undefined) {
+    errors.push('The alert "sent" should be a date time.');
+  }
+
+  var msgType = text(alert, 'msgType');
+  if ((msgType === 'Update' || msgType === 'Cancel') && !text(alert, 'references')) {
+    errors.push('The alert is missing "references" required by ' + msgType + ' messages.');
+  }
+  if ((msgType === 'Alert' || msgType === 'Update') && !list(alert, 'info').length) {
+    errors.push('The alert is missing "info" required by ' + msgType + ' messages.');
+  }
+
+  list(alert, 'info').forEach(function (info, i) {
+    ['event', 'urgency', 'severity', 'certainty'].forEach(function (name) {
+      var value = text(info, name);
+      if (!value) {
+        errors.push('Info ' + i + ' is missing "' + name + '".');
+      }
+      else if (VALUES.hasOwnProperty(name) && VALUES[name].indexOf(value) === -1) {
+        errors.push('Info ' + i + ' "' + name + '" should be one of ' + VALUES[name].join(', ') + '.');
+      }
+    });
+
+    if (!list(info, 'category').length) {
+      errors.push('Info ' + i + ' is missing "category".');
+    }
+
+    ['effective', 'onset', 'expires'].forEach(function (name) {
+      if (text(info, name) && timestamp(text(info, name)) === undefined) {
+        errors.push('Info ' + i + ' "' + name + '" should be a date time.');
+      }
+    });
+
+    list(info, 'area').forEach(function (area, j) {
+      if (!text(area, 'areaDesc')) {
+        errors.push('Info ' + i + ' area ' + j + ' is missing "areaDesc".');
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Find the alerts referenced by a message.
+ *
+ * @param references
+ *   The references ("sender,identifier,sent" separated by white space).
+ *
+ * @returns {Array}
+ *   The hashes of the alerts referenced.
+ */
+function references(references) {
+  "use strict";
+
+  return (references || '').split(/\s+/).filter(function (reference) {
+    return reference.length;
+  }).map(function (reference) {
+    var parts = reference.split(',');
+    return alertHash(parts[0], parts[1]);
+  });
+}
+
+/**
+ * Define the Cap object (constructor).
+ *
+ * @param app
+ *   The express Application.
+ * @param logger
+ *   The event logger.
+ * @param cache
+ *   Cache object.
+ * @param Channel
+ *   Channel object.
+ * @param options
+ *   The plugin options ("token", "mappings", "status" and "language").
+ */
+var Cap = function Cap(app, logger, cache, Channel, options) {
+  "use strict";
+
+  var self = this;
+
+  this.logger = logger;
+  this.cache = cache;
+  this.Channel = Channel;
+  this.token = options.token;
+  this.mappings = options.mappings || [];
+  this.status = options.status || ['Actual'];
+  this.language = options.language;
+
+  var parseXML = bodyParser.text({
+    "type": ['application/xml', 'text/xml', 'application/cap+xml'],
+    "limit": '1mb'
+  });
+
+  /**
+   * Receive a CAP document.
+   */
+  app.post('/api/cap', parseXML, function (req, res) {
+    var header = req.headers.authorization || '';
+    if (!self.token || header.indexOf('Bearer ') !== 0 || !sameToken(header.substr(7), self.token)) {
+      res.status(401).send('You do not have the right token.');
+      return;
+    }
+
+    if (typeof req.body !== 'string' || !req.body.length) {
+      res.status(400).send({ "errors": ['The body should be a CAP XML document.'] });
+      return;
+    }
+
+    xml2js.parseString(req.body, PARSER_OPTIONS, function (err, doc) {
+      if (err) {
+        res.status(400).send({ "errors": ['The document could not be parsed: ' + err.message] });
+        return;
+      }
+
+      var errors = validate(doc);
+      if (errors.length) {
+        self.logger.error('CAP: invalid document ' + JSON.stringify(errors));
+        res.status(400).send({ "errors": errors });
+        return;
+      }
+
+      self.process(doc.alert).then(
+        function (result) {
+          res.send(result);
+        },
+        function (error) {
+          self.logger.error('CAP: alert could not be processed "' + error.message + '"');
+          res.status(500).send(error.message);
+        }
+      );
+    });
+  });
+};
+
+/**
+ * Process a validated alert.
+ *
+ * @param alert
+ *   The parsed alert element.
+ *
+ * @returns {*}
+ *   Promise that resolves with an object with the alert's "identifier",
+ *   "msgType", the alerts "retracted" and the "channels" pushed.
+ */
+Cap.prototype.process = function process(alert) {
+  "use strict";
+
+  var self = this;
+  var msgType = text(alert, 'msgType');
+  var result = {
+    "identifier": text(alert, 'identifier'),
+    "msgType": msgType,
+    "retracted": [],
+    "channels": []
+  };
+
+  self.logger.info('CAP: received ' + msgType + ' "' + result.identifier + '" from "' + text(alert, 'sender') + '".');
+
+  if (self.status.indexOf(text(alert, 'status')) === -1 || msgType === 'Ack' || msgType === 'Error') {
+    return Q.when(result);
+  }
+
+  var retracted = Q.when([]);
+  if (msgType === 'Update' || msgType === 'Cancel') {
+    retracted = Q.all(references(text(alert, 'references')).map(function (hash) {
+      return self.retract(hash);
+    }));
+  }
+
+  return retracted.then(function (hashes) {
+    result.retracted = hashes.filter(function (hash) {
+      return hash !== null;
+    });
+
+    if (msgType === 'Cancel') {
+      return result;
+    }
+
+    return self.display(alert).then(function (channels) {
+      result.channels = channels;
+      return result;
+    });
+  });
+};
+
+/**
+ * Find the screens an alert should be displayed on.
+ *
+ * @param info
+ *   The parsed info element used.
+ *
+ * @returns {object}
+ *   The matching mappings grouped by API key.
+ */
+Cap.prototype.match = function match(info) {
+  "use strict";
+
+  var severity = text(info, 'severity');
+  var areas = [];
+  list(info, 'area').forEach(function (area) {
+    areas.push(text(area, 'areaDesc').toLowerCase());
+    list(area, 'geocode').forEach(function (geocode) {
+      if (text(geocode, 'value')) {
+        areas.push(text(geocode, 'value').toLowerCase());
+      }
+    });
+  });
+
+  var matched = {};
+  this.mappings.forEach(function (mapping) {
+    if ((mapping.severity || ['Extreme', 'Severe']).indexOf(severity) === -1) {
+      return;
+    }
+    if (mapping.areas && !mapping.areas.some(function (area) {
+      return areas.indexOf(String(area).toLowerCase()) !== -1;
+    })) {
+      return;
+    }
+
+    if (!matched.hasOwnProperty(mapping.apikey)) {
+      matched[mapping.apikey] = [];
+    }
+    matched[mapping.apikey].push(mapping);
+  });
+
+  return matched;
+};
+
+/**
+ * Display an alert as a channel on the screens of the matching mappings.
+ *
+ * @param alert
+ *   The parsed alert element.
+ *
+ * @returns {*}
+ *   Promise that resolves with the channels pushed ("apikey", "id" and
+ *   "screens").
+ */
+Cap.prototype.display = function display(alert) {
+  "use strict";
+
+  var self = this;
+  var infos = list(alert, 'info');
+  var info = infos.filter(function (info) {
+    return self.language && text(info, 'language') === self.language;
+  })[0] || infos[0];
+
+  var sender = text(alert, 'sender');
+  var identifier = text(alert, 'identifier');
+  var hash = alertHash(sender, identifier);
+  var onset = timestamp(text(info, 'onset') || text(info, 'effective'));
+  var expires = timestamp(text(info, 'expires'));
+  var matched = self.match(info);
+
+  if (expires !== undefined && expires <= Math.round((new Date()).getTime() / 1000)) {
+    self.logger.info('CAP: "' + identifier + '" has expired and is not displayed.');
+    return Q.when([]);
+  }
+
+  var data = {
+    "type": 'cap',
+    "identifier": identifier,
+    "sender": sender,
+    "sent": text(alert, 'sent'),
+    "event": text(info, 'event'),
+    "urgency": text(info, 'urgency'),
+    "severity": text(info, 'severity'),
+    "certainty": text(info, 'certainty'),
+    "headline": text(info, 'headline'),
+    "description": text(info, 'description'),
+    "instruction": text(info, 'instruction'),
+    "senderName": text(info, 'senderName'),
+    "areas": list(info, 'area').map(function (area) {
+      return text(area, 'areaDesc');
+    }),
+    "onset": onset,
+    "expires": expires
+  };
+
+  return Q.all(Object.keys(matched).map(function (apikey) {
+    var mappings = matched[apikey];
+    var allScreens = mappings.some(function (mapping) {
+      return !mapping.screens;
+    });
+
+    var screens = allScreens ? self.cache.membersOfSet('screen:' + apikey) : Q.when([]);
+    return screens.then(function (ids) {
+      var regions = [];
+      mappings.forEach(function (mapping) {
+        (mapping.screens || ids).forEach(function (id) {
+          regions.push({
+            "screen": id,
+            "region": mapping.region || 1
+          });
+        });
+      });
+
+      var channel = new self.Channel(apikey, 'cap-' + hash);
+      channel.title = data.headline || data.event;
+      channel.data = data;
+      channel.regions = regions;
+      channel.screens = regions.map(function (region) {
+        return region.screen;
+      }).filter(function (id, index, screens) {
+        return screens.map(String).indexOf(String(id)) === index;
+      });
+      if (onset !== undefined || expires !== undefined) {
+        channel.schedule = {
+          "windows": [{ "from": onset, "to": expires }]
+        };
+      }
+
+      return channel.save().then(function (changes) {
+        channel.pushChanges(changes);
+
+        return {
+          "apikey": apikey,
+          "id": channel.id,
+          "screens": channel.screens
+        };
+      });
+    });
+  })).then(function (channels) {
+    var state = {
+      "identifier": identifier,
+      "sender": sender,
+      "expires": expires,
+      "channels": channels.map(function (channel) {
+        return { "apikey": channel.apikey, "id": channel.id };
+      })
+    };
+
+    return self.cache.set('cap:' + hash, JSON.stringify(state)).then(function () {
+      return self.cache.addSet(ACTIVE, hash);
+    }).then(function () {
+      self.logger.info('CAP: "' + identifier + '" displayed in ' + JSON.stringify(state.channels) + '.');
+      return channels;
+    });
+  });
+};
+
+/**
+ * Remove the channels of an alert.
+ *
+ * @param hash
+ *   The hash of the alert.
+ *
+ * @returns {*}
+ *   Promise that resolves with the hash or null if the alert is not
+ *   displayed.
+ */
+Cap.prototype.retract = function retract(hash) {
+  "use strict";
+
+  var self = this;
+
+  // Only the one removing it from the active set removes the channels, so
+  // more instances can run the expire job.
+  return self.cache.removeSet(ACTIVE, hash).then(function (removed) {
+    if (!removed) {
+      return null;
+    }
+
+    return self.cache.get('cap:' + hash).then(function (res) {
+      if (res === null) {
+        return null;
+      }
+
+      var state = JSON.parse(res);
+      state.channels.forEach(function (info) {
+        new self.Channel(info.apikey, info.id).load().then(
+          function (channel) {
+            channel.remove();
+          },
+          function () {
+            // The channel have already been removed.
+          }
+        );
+      });
+
+      self.logger.info('CAP: "' + state.identifier + '" retracted.');
+
+      return self.cache.remove('cap:' + hash).then(function () {
+        return hash;
+      });
+    });
+  });
+};
+
+/**
+ * Retract the alerts that have expired.
+ *
+ * @returns {*}
+ *   Promise that resolves with the number of alerts retracted.
+ */
+Cap.prototype.removeExpired = function removeExpired() {
+  "use strict";
+
+  var self = this;
+  var now = Math.round((new Date()).getTime() / 1000);
+
+  return self.cache.membersOfSet(ACTIVE).then(function (hashes) {
+    return self.cache.getMultiple(hashes.map(function (hash) {
+      return 'cap:' + hash;
+    })).then(function (values) {
+      return Q.all(hashes.filter(function (hash, i) {
+        if (values[i] === null) {
+          return true;
+        }
+
+        var expires = JSON.parse(values[i]).expires;
+        return expires !== undefined && expires !== null && expires <= now;
+      }).map(function (hash) {
+        return self.retract(hash);
+      }));
+    });
+  }).then(function (retracted) {
+    return retracted.filter(function (hash) {
+      return hash !== null;
+    }).length;
+  });
+};
+
+/**
+ * Register the plugin with architect.
+ */
+module.exports = function (options, imports, register) {
+  "use strict";
+
+  var cap = new Cap(imports.app, imports.logger, imports.cache, imports.channel, options);
+
+  // Register the plugin with the system.
+  register(null, {
+    "cap": cap
+  });
+};
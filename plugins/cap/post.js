@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * Stand-in for the emergency service, which posts CAP documents to the
+ * middleware. Used to test the CAP configuration with the sample files.
+ *
+ * Usage: node plugins/cap/post.js <file.xml> [url]
+ *
+ * The url defaults to the local middleware and the token is read from
+ * config.json (cap.token).
+ */
+
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+
+// Load config file.
+var configs = require(__dirname + '/../../config.json');
+
+var file = process.argv[2];
+if (!file) {
+  console.error('Usage: node plugins/cap/post.js <file.xml> [url]');
+  process.exit(1);
+}
+
+var target = url.parse(process.argv[3] || 'http://localhost:' + configs.port + '/api/cap');
+var body = fs.readFileSync(file);
+
+var req = (target.protocol === 'https:' ? https : http).request({
+  "method": 'POST',
+  "hostname": target.hostname,
+  "port": target.port,
+  "path": target.path,
+  "headers": {
+    "Content-Type": 'application/cap+xml',
+    "Content-Length": body.length,
+    "Authorization": 'Bearer ' + (configs.cap ? configs.cap.token : '')
+  }
+}, function (res) {
+  "use strict";
+
+  var data = '';
+  res.setEncoding('utf8');
+  res.on('data', function (chunk) {
+    data += chunk;
+  });
+  res.on('end', function () {
+    console.log(res.statusCode + ' ' + data);
+    process.exit(res.statusCode === 200 ? 0 : 1);
+  });
+});
+
+req.on('error', function (error) {
+  "use strict";
+
+  console.error(error.message);
+  process.exit(1);
+});
+
+req.end(body);
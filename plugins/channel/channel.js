@@ -11,6 +11,26 @@ module.exports = function (options, imports, register) {
   // Load promise library.
   var Q = require('q');
 
+  // Used to calculate content versions.
+  var crypto = require('crypto');
+
+  // Publish windows and recurring rules.
+  var schedule = require('./schedule');
+
+  // Used to compare channel versions.
+  var jsonDiff = require('./diff');
+
+  // Used to find the media urls in channel data.
+  var media = require('./media');
+
+  // Number of versions kept in the history of each channel.
+  var historyLength = options.history || 10;
+
+  // Media paths for each slide template and the seconds before a scheduled
+  // channel opens its media is sent to the screens for prefetching.
+  var mediaOptions = options.media || {};
+  var prefetchAhead = mediaOptions.ahead !== undefined ? mediaOptions.ahead : 600;
+
   // Injections object.
   var Screen = imports.screen;
 
@@ -26,12 +46,467 @@ module.exports = function (options, imports, register) {
     this.screens = undefined;
     this.regions = undefined;
 
+    // Names of the screen groups the channel targets besides its screens.
+    this.groups = undefined;
+
+    // Optional schedule limiting when the channel is displayed.
+    this.schedule = undefined;
+
+    // Content hash of the channel, used to track delivery to the screens.
+    this.version = undefined;
+
     // Injections.
     this.logger = imports.logger;
     this.cache = imports.cache;
     this.apikeys = imports.apikeys;
   };
 
+  /**
+   * Get the group names from a channels groups list.
+   *
+   * @param groups
+   *   The groups list (may be undefined).
+   *
+   * @returns {Array}
+   *   The group names.
+   */
+  function groupNames(groups) {
+    return Array.isArray(groups) ? groups.map(String) : [];
+  }
+
+  /**
+   * Calculate the version of a channel's content.
+   *
+   * @param channel
+   *   The channel object.
+   *
+   * @returns {string}
+   *   Hash of the title, data, screens, regions, groups and schedule.
+   */
+  function contentVersion(channel) {
+    var fields = [channel.title, channel.data, channel.screens, channel.regions];
+
+    // Only added when used, so the versions of other channels do not change.
+    if (groupNames(channel.groups).length) {
+      fields.push(channel.groups);
+    }
+    if (channel.schedule !== undefined && channel.schedule !== null) {
+      fields.push({ "schedule": channel.schedule });
+    }
+
+    var content = JSON.stringify(fields);
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * Set channel properties from cached data.
+   *
+   * @param channel
+   *   The channel object.
+   * @param data
+   *   The data (JSON string) stored in the cache.
+   */
+  function populate(channel, data) {
+    data = JSON.parse(data);
+    channel.title = data.title;
+    channel.data = data.data;
+    channel.screens = data.screens;
+    channel.regions = data.regions;
+    channel.groups = data.groups;
+    channel.schedule = data.schedule;
+
+    // Channels saved before versions was added do not have one.
+    channel.version = data.version || contentVersion(channel);
+  }
+
+  /**
+   * Get the key of the set with the ids of the channels targeting a screen.
+   *
+   * @param apikey
+   *   The API key the screen belongs to.
+   * @param screenID
+   *   Id of the screen.
+   *
+   * @returns {string}
+   */
+  function screenChannelsKey(apikey, screenID) {
+    return 'screen:' + apikey + ':' + screenID + ':channels';
+  }
+
+  /**
+   * Get the screen ids from a channels screens list.
+   *
+   * @param screens
+   *   The screens list (may contain holes or be undefined).
+   *
+   * @returns {Array}
+   *   The screen ids as strings.
+   */
+  function screenIds(screens) {
+    var ids = [];
+    for (var i in screens) {
+      if (screens[i] !== null && screens[i] !== undefined) {
+        ids.push(String(screens[i]));
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get the key of the set with the ids of the channels targeting a group.
+   *
+   * @param apikey
+   *   The API key the group belongs to.
+   * @param name
+   *   Name of the group.
+   *
+   * @returns {string}
+   */
+  function groupChannelsKey(apikey, name) {
+    return 'group:' + apikey + ':' + name + ':channels';
+  }
+
+  /**
+   * Find the screens targeted by a channel's screens and groups.
+   *
+   * @param apikey
+   *   The API key the channel belongs to.
+   * @param screens
+   *   The channel's screens list.
+   * @param groups
+   *   The channel's groups list.
+   *
+   * @returns {*}
+   *   Promise that resolves with an object with the screen "ids" (strings)
+   *   and the names of the channel's groups each screen is in ("memberOf",
+   *   keyed by screen id).
+   */
+  function targetsOf(apikey, screens, groups) {
+    var names = groupNames(groups);
+
+    return Q.all(names.map(function (name) {
+      return Screen.groupMembers(apikey, name);
+    })).then(function (members) {
+      var result = {
+        "ids": screenIds(screens),
+        "memberOf": {}
+      };
+
+      members.forEach(function (ids, index) {
+        ids.map(String).forEach(function (screenID) {
+          if (result.ids.indexOf(screenID) === -1) {
+            result.ids.push(screenID);
+          }
+          (result.memberOf[screenID] = result.memberOf[screenID] || []).push(names[index]);
+        });
+      });
+
+      return result;
+    });
+  }
+
+  /**
+   * Load the screens to send a channel's content or events to.
+   *
+   * @param channel
+   *   The channel object.
+   * @param screenIDs
+   *   Ids of the screens (defaults to the channel's screens and the screens in
+   *   its groups).
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of screen objects or null if the
+   *   channel has no screens or groups.
+   */
+  function loadScreens(channel, screenIDs) {
+    if (screenIDs === undefined && channel.screens === undefined && !groupNames(channel.groups).length) {
+      return Q.resolve(null);
+    }
+
+    var ids = screenIDs !== undefined ? Q.resolve(screenIDs) : targetsOf(channel.apikey, channel.screens, channel.groups).then(function (targets) {
+      return targets.ids;
+    });
+
+    return ids.then(function (ids) {
+      return Screen.loadMultiple(channel.apikey, ids);
+    });
+  }
+
+  /**
+   * Normalize a screen or region id given in an URL.
+   *
+   * The backend sends ids as numbers, so numeric ids are converted to match.
+   *
+   * @param id
+   *   The id.
+   *
+   * @returns {number|string}
+   */
+  function normalizeId(id) {
+    return /^\d+$/.test(String(id)) ? parseInt(id, 10) : id;
+  }
+
+  /**
+   * Get the regions of a given screen from a channels regions list.
+   *
+   * Regions may be given for a "group" instead of a "screen", which are
+   * used for the screens in the group.
+   *
+   * @param regions
+   *   The regions list (may be undefined or malformed in stored channels).
+   * @param screenID
+   *   Id of the screen.
+   * @param groups
+   *   (Optional) Names of the groups the screen is in.
+   *
+   * @returns {Array}
+   *   The region ids.
+   */
+  function regionsOf(regions, screenID, groups) {
+    var ids = [];
+
+    groups = groups || [];
+    if (Array.isArray(regions)) {
+      for (var i = 0; i < regions.length; i++) {
+        if (!regions[i] || ids.indexOf(regions[i].region) !== -1) {
+          continue;
+        }
+
+        // Screen ids may be numbers or strings depending on where they come
+        // from.
+        if (String(regions[i].screen) === String(screenID) ||
+          (regions[i].group !== undefined && groups.indexOf(String(regions[i].group)) !== -1)) {
+          ids.push(regions[i].region);
+        }
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Update the screen and group to channels indexes.
+   *
+   * @param channel
+   *   The channel object.
+   * @param added
+   *   Ids of the screens the channel now targets.
+   * @param removed
+   *   Ids of the screens the channel no longer targets.
+   * @param groupsAdded
+   *   (Optional) Names of the groups the channel now targets.
+   * @param groupsRemoved
+   *   (Optional) Names of the groups the channel no longer targets.
+   *
+   * @returns {*}
+   *   Promise that resolves when the index have been updated.
+   */
+  function updateIndex(channel, added, removed, groupsAdded, groupsRemoved) {
+    var commands = added.map(function (screenID) {
+      return ['sadd', screenChannelsKey(channel.apikey, screenID), channel.id];
+    }).concat(removed.map(function (screenID) {
+      return ['srem', screenChannelsKey(channel.apikey, screenID), channel.id];
+    })).concat((groupsAdded || []).map(function (name) {
+      return ['sadd', groupChannelsKey(channel.apikey, name), channel.id];
+    })).concat((groupsRemoved || []).map(function (name) {
+      return ['srem', groupChannelsKey(channel.apikey, name), channel.id];
+    }));
+
+    return channel.cache.batch(commands).then(
+      function (results) {
+        for (var i = 0; i < results.length; i++) {
+          if (results[i] instanceof Error) {
+            channel.logger.error('Channel: screen index could not be updated "' + results[i].message + '"');
+          }
+        }
+      },
+      function (err) {
+        channel.logger.error('Channel: redis encounted an error in update screen index.');
+        throw err;
+      }
+    );
+  }
+
+  /**
+   * Get the current time as unix timestamp.
+   *
+   * @returns {number}
+   */
+  function now() {
+    return Math.round((new Date()).getTime() / 1000);
+  }
+
+  /**
+   * Get the key of the list with the versions of a channel (newest first).
+   *
+   * @param channel
+   *   The channel object.
+   *
+   * @returns {string}
+   */
+  function historyKey(channel) {
+    return 'history:' + channel.apikey + ':' + channel.id;
+  }
+
+  /**
+   * Get the content of a channel as stored in the history.
+   *
+   * @param data
+   *   The channel object or the data stored in the cache.
+   *
+   * @returns {object}
+   */
+  function content(data) {
+    return {
+      "title": data.title,
+      "data": data.data,
+      "screens": data.screens,
+      "regions": data.regions,
+      "groups": data.groups,
+      "schedule": data.schedule
+    };
+  }
+
+  /**
+   * Add the channel's content to its history, if it has changed since the
+   * latest version.
+   *
+   * The history is trimmed to the configured number of versions.
+   *
+   * @param channel
+   *   The channel object.
+   * @param previous
+   *   The data stored before the save (null for new channels). It is added
+   *   first if the history is empty, so channels saved before the history
+   *   existed can be rolled back.
+   *
+   * @returns {*}
+   *   Promise that resolves when the history have been updated.
+   */
+  function addHistory(channel, previous) {
+    var key = historyKey(channel);
+
+    return channel.cache.listRange(key, 0, 0).then(function (latest) {
+      var entries = [];
+      if (latest.length) {
+        latest = JSON.parse(latest[0]);
+        if (JSON.stringify(content(latest)) === JSON.stringify(content(channel))) {
+          return;
+        }
+      }
+      else if (previous !== null) {
+        var old = content(previous);
+        old.version = previous.version || contentVersion(previous);
+        old.time = null;
+        entries.push(old);
+      }
+
+      var entry = content(channel);
+      entry.version = channel.version;
+      entry.time = now();
+      entries.push(entry);
+
+      return channel.cache.batch(entries.map(function (entry) {
+        return ['lpush', key, JSON.stringify(entry)];
+      }).concat([['ltrim', key, 0, historyLength - 1]]));
+    }).then(null, function (err) {
+      channel.logger.error('Channel: redis encounted an error in save history.');
+      throw err;
+    });
+  }
+
+  /**
+   * Get a function that makes the delta to the content pushed to a screen
+   * from an earlier version of the channel.
+   *
+   * The history is loaded once, when the first delta is made.
+   *
+   * @param channel
+   *   The channel object.
+   *
+   * @returns {Function}
+   *   Function that given the screen object, the content pushed and the
+   *   earlier version returns a promise that resolves with the JSON Patch
+   *   operations (without the old values) or null if the version is not in
+   *   the history.
+   */
+  function deltaBuilder(channel) {
+    var entries = null;
+
+    return function (screen, payload, from) {
+      entries = entries || channel.cache.listRange(historyKey(channel), 0, -1);
+
+      return entries.then(function (list) {
+        for (var i = 0; i < list.length; i++) {
+          var entry = JSON.parse(list[i]);
+          if (entry.version === from) {
+            return jsonDiff({
+              "regions": regionsOf(entry.regions, screen.id, screen.groups),
+              "data": entry.data
+            }, payload).map(function (op) {
+              delete op.old;
+              return op;
+            });
+          }
+        }
+
+        return null;
+      });
+    };
+  }
+
+  /**
+   * Get the key of the set with the ids of the scheduled channels.
+   *
+   * The active state of the channels at the last check is stored in a hash
+   * with the same key suffixed with ":active".
+   *
+   * @param apikey
+   *   The API key the channels belongs to.
+   *
+   * @returns {string}
+   */
+  function scheduleKey(apikey) {
+    return 'schedule:' + apikey;
+  }
+
+  /**
+   * Add the channel to or remove it from the scheduled channels.
+   *
+   * @param channel
+   *   The channel object.
+   * @param scheduled
+   *   Whether the channel has a schedule.
+   *
+   * @returns {*}
+   *   Promise that resolves when the scheduled channels have been updated.
+   */
+  function updateSchedule(channel, scheduled) {
+    var key = scheduleKey(channel.apikey);
+    var commands = scheduled ? [
+      ['sadd', key, channel.id],
+      ['hset', key + ':active', channel.id, channel.isActive(now()) ? '1' : '0']
+    ] : [
+      ['srem', key, channel.id],
+      ['hdel', key + ':active', channel.id]
+    ];
+
+    return channel.cache.batch(commands).then(
+      function (results) {
+        for (var i = 0; i < results.length; i++) {
+          if (results[i] instanceof Error) {
+            channel.logger.error('Channel: schedule could not be updated "' + results[i].message + '"');
+          }
+        }
+      },
+      function (err) {
+        channel.logger.error('Channel: redis encounted an error in update schedule.');
+        throw err;
+      }
+    );
+  }
+
   /**
    * Load channel.
    *
@@ -41,74 +516,388 @@ module.exports = function (options, imports, register) {
   Channel.prototype.load = function load() {
     var self = this;
 
-    var deferred = Q.defer();
-
-    self.cache.get(self.key, function(err, res) {
-      if (err) {
-        self.logger.error('Channel: redis encountered an error in load.');
-        deferred.reject(err);
-      }
-      else {
+    return self.cache.get(self.key).then(
+      function (res) {
         if (res !== null) {
-          var data = JSON.parse(res);
-          self.title = data.title;
-          self.data = data.data;
-          self.screens = data.screens;
-          self.regions = data.regions;
+          populate(self, res);
 
           // Notify that the channel have been loaded.
-          deferred.resolve(self);
+          return self;
         }
-        else {
-          var msg = 'Channel: not found in cache (' + self.key + ') in load';
-          self.logger.error(msg);
-          deferred.reject({ "message" : msg });
+
+        var msg = 'Channel: not found in cache (' + self.key + ') in load';
+        self.logger.error(msg);
+        throw new Error(msg);
+      },
+      function (err) {
+        self.logger.error('Channel: redis encountered an error in load.');
+        throw err;
+      }
+    );
+  };
+
+  /**
+   * Load multiple channels in one round trip to the cache.
+   *
+   * @param apikey
+   *   The API key the channels belongs to.
+   * @param ids
+   *   Array with the ids of the channels to load.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of channel objects. Channels not
+   *   found in the cache are left out.
+   */
+  Channel.loadMultiple = function loadMultiple(apikey, ids) {
+    var keys = ids.map(function (id) {
+      return new Channel(apikey, id).key;
+    });
+
+    return imports.cache.getMultiple(keys).then(
+      function (values) {
+        var channels = [];
+        for (var i = 0; i < ids.length; i++) {
+          if (values[i] !== null) {
+            var channel = new Channel(apikey, ids[i]);
+            populate(channel, values[i]);
+            channels.push(channel);
+          }
+          else {
+            imports.logger.error('Channel: not found in cache (' + keys[i] + ') in load multiple');
+          }
         }
+
+        return channels;
+      },
+      function (err) {
+        imports.logger.error('Channel: redis encountered an error in load multiple.');
+        throw err;
       }
+    );
+  };
+
+  /**
+   * Load all channels under an API key.
+   *
+   * @param apikey
+   *   The API key to load channels for.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of channel objects.
+   */
+  Channel.loadAll = function loadAll(apikey) {
+    return imports.cache.membersOfSet('channel:' + apikey).then(function (ids) {
+      return Channel.loadMultiple(apikey, ids);
     });
+  };
 
-    return deferred.promise;
+  /**
+   * Load the channels targeting a screen.
+   *
+   * Uses the screen and group to channels indexes, so only the channels for
+   * the screen are loaded. Index entries for channels that no longer targets
+   * the screen or group are removed.
+   *
+   * @param apikey
+   *   The API key the screen belongs to.
+   * @param screenID
+   *   Id of the screen.
+   * @param groups
+   *   (Optional) Names of the groups the screen is in.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of channel objects.
+   */
+  Channel.loadForScreen = function loadForScreen(apikey, screenID, groups) {
+    var keys = [screenChannelsKey(apikey, screenID)].concat((groups || []).map(function (name) {
+      return groupChannelsKey(apikey, name);
+    }));
+
+    return Q.all(keys.map(function (key) {
+      return imports.cache.membersOfSet(key);
+    })).then(function (members) {
+      var ids = [];
+      members.forEach(function (list) {
+        list.forEach(function (id) {
+          if (ids.indexOf(id) === -1) {
+            ids.push(id);
+          }
+        });
+      });
+
+      return Channel.loadMultiple(apikey, ids).then(function (channels) {
+        return channels.filter(function (channel) {
+          var direct = channel.hasScreen(screenID);
+          var names = groupNames(channel.groups);
+
+          // Remove the index entries that are no longer valid.
+          keys.forEach(function (key, index) {
+            var valid = index === 0 ? direct : names.indexOf(groups[index - 1]) !== -1;
+            if (!valid && members[index].indexOf(channel.id) !== -1) {
+              imports.cache.removeSet(key, channel.id).fail(function () {
+                imports.logger.error('Channel: redis encounted an error in del screen index.');
+              });
+            }
+          });
+
+          return direct || (groups || []).some(function (name) {
+            return names.indexOf(name) !== -1;
+          });
+        });
+      });
+    });
+  };
+
+  /**
+   * Push or remove the channels of groups a screen has joined or left.
+   *
+   * Channels of the groups left are removed from the screen, unless it is
+   * still targeted by them.
+   *
+   * @param screen
+   *   The screen object (with its new groups).
+   * @param changes
+   *   Names of the groups "added" and "removed".
+   *
+   * @returns {*}
+   *   Promise that resolves with the ids of the channels "pushed" and
+   *   "removed".
+   */
+  Channel.updateScreenGroups = function updateScreenGroups(screen, changes) {
+    var result = {
+      "pushed": [],
+      "removed": []
+    };
+
+    return Channel.loadForScreen(screen.apikey, screen.id, changes.added.concat(changes.removed)).then(function (channels) {
+      channels.forEach(function (channel) {
+        var names = groupNames(channel.groups);
+        var targeted = channel.hasScreen(screen.id) || screen.groups.some(function (name) {
+          return names.indexOf(name) !== -1;
+        });
+        var joined = changes.added.some(function (name) {
+          return names.indexOf(name) !== -1;
+        });
+
+        if (targeted && joined) {
+          result.pushed.push(channel.id);
+          channel.push([screen.id]);
+        }
+        else if (!targeted) {
+          result.removed.push(channel.id);
+          channel.removeFromScreens([screen.id]);
+        }
+      });
+
+      return result;
+    });
+  };
+
+  /**
+   * Build the screen to channels index from the channels under an API key.
+   *
+   * Used to create the index for channels saved before it existed.
+   *
+   * @param apikey
+   *   The API key to build the index for.
+   *
+   * @returns {*}
+   *   Promise that resolves when the index have been updated.
+   */
+  Channel.rebuildIndex = function rebuildIndex(apikey) {
+    return Channel.loadAll(apikey).then(function (channels) {
+      return Q.all(channels.map(function (channel) {
+        return updateIndex(channel, screenIds(channel.screens), [], groupNames(channel.groups));
+      }));
+    });
+  };
+
+  /**
+   * Validate a channel schedule.
+   *
+   * @param value
+   *   The schedule.
+   *
+   * @returns {string|null}
+   *   Message describing the problem or null if the schedule is valid.
+   */
+  Channel.validateSchedule = function validateSchedule(value) {
+    return schedule.validate(value);
+  };
+
+  /**
+   * Get the media manifests of the channels a screen should have cached.
+   *
+   * @param apikey
+   *   The API key the screen belongs to.
+   * @param screenID
+   *   Id of the screen.
+   * @param time
+   *   Unix timestamp to check the schedules at.
+   * @param groups
+   *   (Optional) Names of the groups the screen is in.
+   *
+   * @returns {*}
+   *   Promise that resolves with the manifests (see manifest()) of the
+   *   channels that are active or opens soon.
+   */
+  Channel.manifestsForScreen = function manifestsForScreen(apikey, screenID, time, groups) {
+    return Channel.loadForScreen(apikey, screenID, groups).then(function (channels) {
+      return channels.filter(function (channel) {
+        return channel.isActive(time) || channel.isUpcoming(time);
+      }).map(function (channel) {
+        return channel.manifest();
+      });
+    });
+  };
+
+  /**
+   * Push or remove the scheduled channels which windows have opened or
+   * closed since the last check.
+   *
+   * The media of channels opening soon is sent to their screens for
+   * prefetching, once until they open (state "p" in the active hash).
+   *
+   * @param apikey
+   *   The API key to check channels under.
+   * @param time
+   *   Unix timestamp to check the schedules at.
+   *
+   * @returns {*}
+   *   Promise that resolves with an object with the ids of the channels
+   *   "opened", "closed" and "prefetched".
+   */
+  Channel.checkSchedules = function checkSchedules(apikey, time) {
+    var key = scheduleKey(apikey);
+    var result = {
+      "opened": [],
+      "closed": [],
+      "prefetched": []
+    };
+
+    return Q.all([
+      imports.cache.membersOfSet(key).then(function (ids) {
+        return Channel.loadMultiple(apikey, ids);
+      }),
+      imports.cache.hashGetAll(key + ':active')
+    ]).spread(function (channels, states) {
+      states = states || {};
+
+      var commands = [];
+      channels.forEach(function (channel) {
+        var active = channel.isActive(time);
+        if (active === (states[channel.id] === '1')) {
+          if (states[channel.id] !== 'p' && channel.isUpcoming(time)) {
+            result.prefetched.push(channel.id);
+            channel.prefetch();
+            commands.push(['hset', key + ':active', channel.id, 'p']);
+          }
+          return;
+        }
+
+        if (active) {
+          result.opened.push(channel.id);
+          channel.push();
+        }
+        else {
+          result.closed.push(channel.id);
+          channel.removeFromScreens();
+        }
+        commands.push(['hset', key + ':active', channel.id, active ? '1' : '0']);
+      });
+
+      return commands.length ? imports.cache.batch(commands) : [];
+    }).then(function () {
+      return result;
+    });
   };
 
   /**
    * Save channel information to cache.
    *
+   * The screen and group to channels indexes are updated with the screens
+   * and groups added to or removed from the channel.
+   *
    * @returns {*}
-   *   Promise that the data will be saved.
+   *   Promise that resolves when the data is saved with an object with the ids
+   *   of the screens "added" to and "removed" from the channel and of the
+   *   screens which regions have "changed". Screens in the channel's groups
+   *   are included.
    */
   Channel.prototype.save = function save() {
     var self = this;
 
-    var deferred = Q.defer();
-
     // Information to store in redis.
+    self.version = contentVersion(self);
     var data = {
       "title": self.title,
       "data": self.data,
       "screens": self.screens,
-      "regions": self.regions
+      "regions": self.regions,
+      "groups": self.groups,
+      "schedule": self.schedule,
+      "version": self.version
     };
 
-    self.cache.set(self.key, JSON.stringify(data), function(err, res) {
-      if (err) {
-        self.logger.error('Channel: redis encounted an error in save.');
-        deferred.reject(err);
+    var previous = { "ids": [], "memberOf": {} };
+    var previousData = null;
+    var changes = {};
+    return self.cache.get(self.key).then(
+      function (res) {
+        if (res === null) {
+          return;
+        }
+
+        previousData = JSON.parse(res);
+        return targetsOf(self.apikey, previousData.screens, previousData.groups).then(function (targets) {
+          previous = targets;
+        });
       }
-      else {
+    ).then(function () {
+      return self.cache.set(self.key, JSON.stringify(data));
+    }).then(
+      function () {
         // Add channel id, so channels can be searched.
-        self.cache.addSet('channel:' + self.apikey, self.id, function(err, res) {
-          if (err) {
+        return self.cache.addSet('channel:' + self.apikey, self.id).then(
+          function () {},
+          function (err) {
             self.logger.error('Channel: redis encounted an error in save set.');
-            deferred.reject(err);
-          }
-          else {
-            deferred.resolve();
+            throw err;
           }
-        });
+        );
+      },
+      function (err) {
+        self.logger.error('Channel: redis encounted an error in save.');
+        throw err;
       }
-    });
+    ).then(function () {
+      return targetsOf(self.apikey, self.screens, self.groups);
+    }).then(function (current) {
+      changes.added = current.ids.filter(function (screenID) {
+        return previous.ids.indexOf(screenID) === -1;
+      });
+      changes.removed = previous.ids.filter(function (screenID) {
+        return current.ids.indexOf(screenID) === -1;
+      });
+      changes.changed = current.ids.filter(function (screenID) {
+        return previous.ids.indexOf(screenID) !== -1 &&
+          JSON.stringify(regionsOf(previousData.regions, screenID, previous.memberOf[screenID])) !==
+          JSON.stringify(self.screenRegions(screenID, current.memberOf[screenID]));
+      });
 
-    return deferred.promise;
+      var groups = groupNames(self.groups);
+      var previousGroups = groupNames(previousData !== null ? previousData.groups : undefined);
+
+      return Q.all([
+        updateIndex(self, screenIds(self.screens), changes.removed, groups, previousGroups.filter(function (name) {
+          return groups.indexOf(name) === -1;
+        })),
+        updateSchedule(self, self.schedule !== undefined && self.schedule !== null),
+        addHistory(self, previousData)
+      ]);
+    }).then(function () {
+      return changes;
+    });
   };
 
   /**
@@ -118,85 +907,534 @@ module.exports = function (options, imports, register) {
     var self = this;
 
     // Remove cached channel.
-    self.cache.remove(self.key, function (err, res) {
-      if (err) {
-        self.logger.error('Channel: redis encounted an error in del channel.');
-      }
-      else {
+    self.cache.remove(self.key).then(
+      function () {
         // Remove channel from channel set.
-        self.cache.removeSet('channel:' + self.apikey, self.id, function(err, res) {
-          if (err) {
-            self.logger.error('Channel: redis encounted an error in del channel set.');
-          }
+        return self.cache.removeSet('channel:' + self.apikey, self.id).fail(function () {
+          self.logger.error('Channel: redis encounted an error in del channel set.');
+        }).then(function () {
+          // Remove the channel from the screen and group to channels indexes.
+          updateIndex(self, [], screenIds(self.screens), [], groupNames(self.groups)).fail(function () {});
+          updateSchedule(self, false).fail(function () {});
+
+          self.cache.remove(historyKey(self)).fail(function () {
+            self.logger.error('Channel: redis encounted an error in del history.');
+          });
+
+          Screen.removeDeliveries(self.apikey, self.id).fail(function () {
+            self.logger.error('Channel: redis encounted an error in del delivery status.');
+          });
 
           // We have to continue even if there is an error above, as the
-          // cached channel have been removed. Find screens that displays the
-          // channel and send removed event.
-          if (self.screens !== undefined) {
-            for (var i in self.screens) {
-              var screenID = self.screens[i];
-              // Load screen.
-              var screen = new Screen(self.apikey, screenID);
-              screen.load().then(
-                function (obj) {
-                  // Ask screen to push content.
-                  obj.removeChannel(self.id);
-                },
-                function (error) {
-                  self.logger.error('Channel: screen load failed "' + error.message + '"');
-                }
-              );
-            }
-          }
-          else {
-            self.logger.error('Channel: remove failed as it did not contain any screens.');
-          }
+          // cached channel have been removed.
+          self.removeFromScreens();
         });
+      },
+      function () {
+        self.logger.error('Channel: redis encounted an error in del channel.');
       }
-    });
+    );
+  };
+
+  /**
+   * Find screens that displays the channel and send removed event.
+   *
+   * @param screenIDs
+   *   Ids of the screens to remove the channel from (defaults to the channel's
+   *   screens and the screens in its groups).
+   */
+  Channel.prototype.removeFromScreens = function removeFromScreens(screenIDs) {
+    var self = this;
+
+    loadScreens(self, screenIDs).then(
+      function (screens) {
+        if (screens === null) {
+          self.logger.error('Channel: remove failed as it did not contain any screens.');
+          return;
+        }
+
+        for (var i = 0; i < screens.length; i++) {
+          // Ask screen to remove content.
+          screens[i].removeChannel(self.id);
+        }
+      },
+      function (error) {
+        self.logger.error('Channel: screen load failed "' + error.message + '"');
+      }
+    );
   };
 
   /**
    * Push channel content to screens.
+   *
+   * Channels outside their schedule are removed from the screens instead, the
+   * jobs plugin pushes them when their window opens. Screens that accept
+   * deltas get the changes since the version they have. The channel's media
+   * is sent for prefetching before the content.
+   *
+   * @param screenIDs
+   *   Ids of the screens to push to (defaults to the channel's screens and the
+   *   screens in its groups).
    */
-  Channel.prototype.push = function push() {
-    var self = this;
-
-    if (self.data !== undefined && self.screens !== undefined) {
-      // Loop over screens.
-      for (var i in self.screens) {
-        var screenID = self.screens[i];
-        // Load screen.
-        var screen = new Screen(self.apikey, screenID);
-        screen.load().then(
-          function (obj) {
-            // Find which regions of the screen to push to.
-            var regions = [];
-            if (self.regions !== undefined) {
-              for (var j = 0; j < self.regions.length; j++) {
-                if (self.regions[j].screen === obj.id) {
-                  regions.push(self.regions[j].region);
-                }
-              }
+  Channel.prototype.push = function push(screenIDs) {
+    var self = this;
+
+    if (!self.isActive(now())) {
+      self.logger.info('Channel: "' + self.key + '" is outside its schedule and not pushed.');
+      self.removeFromScreens(screenIDs);
+    }
+    else if (self.data !== undefined) {
+      var delta = deltaBuilder(self);
+      var manifest = self.manifest();
+
+      // Load all the screens in one go.
+      loadScreens(self, screenIDs).then(
+        function (screens) {
+          if (screens === null) {
+            self.logger.error('Channel: push failed as it did not contain any screens.');
+            return;
+          }
+
+          screens.forEach(function (screen) {
+            if (manifest.assets.length) {
+              screen.prefetch(manifest);
             }
 
-            // Ask screen to push content.
-            obj.push({
-              "regions": regions,
+            var payload = {
+              "regions": self.screenRegions(screen.id, screen.groups),
               "data": self.data
+            };
+
+            // Ask screen to push content.
+            screen.push(payload, self.id, self.version, function (from) {
+              return delta(screen, payload, from);
             });
-          },
-          function (error) {
-            self.logger.error('Channel: screen load failed "' + error.message + '"');
-          }
-        );
-      }
+          });
+        },
+        function (error) {
+          self.logger.error('Channel: screen load failed "' + error.message + '"');
+        }
+      );
     }
     else {
       self.logger.error('Channel: push failed as it did not contain any information.');
     }
   };
 
+  /**
+   * Push the channel after it has been saved.
+   *
+   * The content (with the screen's regions) is pushed to the channel's
+   * screens and the channel is removed from the screens no longer targeted.
+   *
+   * @param changes
+   *   The screen changes the save resolved with.
+   * @param affectedOnly
+   *   Only push to the screens added or which regions changed (used when only
+   *   the screen assignments have changed).
+   */
+  Channel.prototype.pushChanges = function pushChanges(changes, affectedOnly) {
+    var self = this;
+
+    if (!affectedOnly) {
+      self.push();
+    }
+    else if (changes.added.length || changes.changed.length) {
+      self.push(changes.added.concat(changes.changed));
+    }
+
+    if (changes.removed.length) {
+      self.logger.info('Channel: "' + self.key + '" removed from screens ' + JSON.stringify(changes.removed) + '.');
+      self.removeFromScreens(changes.removed);
+    }
+    if (changes.changed.length) {
+      self.logger.info('Channel: "' + self.key + '" regions changed on screens ' + JSON.stringify(changes.changed) + '.');
+    }
+  };
+
+  /**
+   * Get the media manifest of the channel.
+   *
+   * @returns {object}
+   *   Object with the "channel" id, "version" and the media urls ("assets")
+   *   found in the data with the configured paths.
+   */
+  Channel.prototype.manifest = function manifest() {
+    return {
+      "channel": this.id,
+      "version": this.version,
+      "assets": media(this.data, mediaOptions.paths)
+    };
+  };
+
+  /**
+   * Send the channel's media manifest to screens, so they can fetch the media
+   * before the content is displayed.
+   *
+   * Only connected screens get the manifest.
+   *
+   * @param screenIDs
+   *   Ids of the screens to send to (defaults to the channel's screens and the
+   *   screens in its groups).
+   */
+  Channel.prototype.prefetch = function prefetch(screenIDs) {
+    var self = this;
+    var manifest = self.manifest();
+
+    if (!manifest.assets.length) {
+      return;
+    }
+
+    loadScreens(self, screenIDs).then(
+      function (screens) {
+        (screens || []).forEach(function (screen) {
+          screen.prefetch(manifest);
+        });
+      },
+      function (error) {
+        self.logger.error('Channel: screen load failed "' + error.message + '"');
+      }
+    );
+  };
+
+  /**
+   * Get the versions of the channel kept in its history.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array (newest first) of objects with the
+   *   "version" (content hash), the "time" it was saved (null if unknown), the
+   *   "title" and whether it is the "current" version.
+   */
+  Channel.prototype.versions = function versions() {
+    var self = this;
+
+    return self.cache.listRange(historyKey(self), 0, -1).then(function (entries) {
+      return entries.map(function (entry, index) {
+        entry = JSON.parse(entry);
+        return {
+          "version": entry.version,
+          "time": entry.time,
+          "title": entry.title,
+          "current": index === 0 && entry.version === self.version
+        };
+      });
+    });
+  };
+
+  /**
+   * Load a version of the channel from its history.
+   *
+   * @param version
+   *   The version (content hash).
+   *
+   * @returns {*}
+   *   Promise that resolves with the version's content ("title", "data",
+   *   "screens", "regions", "groups", "schedule", "version" and "time") or
+   *   null if it is not in the history.
+   */
+  Channel.prototype.loadVersion = function loadVersion(version) {
+    var self = this;
+
+    return self.cache.listRange(historyKey(self), 0, -1).then(function (entries) {
+      for (var i = 0; i < entries.length; i++) {
+        var entry = JSON.parse(entries[i]);
+        if (entry.version === version) {
+          return entry;
+        }
+      }
+
+      return null;
+    });
+  };
+
+  /**
+   * Compare two versions of the channel.
+   *
+   * @param from
+   *   The old version.
+   * @param to
+   *   The new version (defaults to the current version).
+   *
+   * @returns {*}
+   *   Promise that resolves with an object with "from", "to" and the "changes"
+   *   as JSON Patch operations, or null if a version is not in the history.
+   */
+  Channel.prototype.diff = function diff(from, to) {
+    var self = this;
+
+    to = to || self.version;
+    return Q.all([self.loadVersion(from), self.loadVersion(to)]).spread(function (fromEntry, toEntry) {
+      if (fromEntry === null || toEntry === null) {
+        return null;
+      }
+
+      return {
+        "from": fromEntry.version,
+        "to": toEntry.version,
+        "changes": jsonDiff(content(fromEntry), content(toEntry))
+      };
+    });
+  };
+
+  /**
+   * Roll the channel back to a version from its history.
+   *
+   * The version is saved as the current content and pushed to the channel's
+   * screens.
+   *
+   * @param version
+   *   The version to roll back to.
+   *
+   * @returns {*}
+   *   Promise that resolves with the channel or null if the version is not in
+   *   the history.
+   */
+  Channel.prototype.rollback = function rollback(version) {
+    var self = this;
+
+    return self.loadVersion(version).then(function (entry) {
+      if (entry === null) {
+        return null;
+      }
+
+      self.title = entry.title;
+      self.data = entry.data;
+      self.screens = entry.screens;
+      self.regions = entry.regions;
+      self.groups = entry.groups;
+      self.schedule = entry.schedule;
+
+      return self.save().then(function (changes) {
+        self.pushChanges(changes);
+        self.logger.info('Channel: "' + self.key + '" rolled back to version "' + version + '".');
+
+        return self;
+      });
+    });
+  };
+
+  /**
+   * Get the delivery status of the channel on each of its screens (including
+   * the screens in its groups).
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of objects with the screen "id",
+   *   "status" ("pending", "delivered", "failed", "offline" or "unknown"),
+   *   the "version" the status is for, whether it is the "current" version
+   *   and the "time" the status was recorded.
+   */
+  Channel.prototype.delivery = function delivery() {
+    var self = this;
+
+    return Q.all([
+      Screen.deliveries(self.apikey, self.id),
+      targetsOf(self.apikey, self.screens, self.groups)
+    ]).spread(function (records, targets) {
+      return targets.ids.map(function (screenID) {
+        var record = records[screenID];
+        if (record === undefined) {
+          return {
+            "id": screenID,
+            "status": 'unknown'
+          };
+        }
+
+        return {
+          "id": screenID,
+          "status": record.status,
+          "version": record.version,
+          "current": record.version === self.version,
+          "time": record.time
+        };
+      });
+    });
+  };
+
+  /**
+   * Assign the channel to a screen.
+   *
+   * @param screenID
+   *   Id of the screen.
+   * @param regions
+   *   Ids of the regions on the screen to display the channel in. Replaces
+   *   the screen's current regions if given.
+   */
+  Channel.prototype.addScreen = function addScreen(screenID, regions) {
+    var self = this;
+
+    if (!self.hasScreen(screenID)) {
+      self.screens = screenIds(self.screens).map(normalizeId).concat([normalizeId(screenID)]);
+    }
+
+    if (regions !== undefined) {
+      self.regions = (self.regions || []).filter(function (region) {
+        return region && String(region.screen) !== String(screenID);
+      }).concat(regions.map(function (region) {
+        return {
+          "screen": normalizeId(screenID),
+          "region": normalizeId(region)
+        };
+      }));
+    }
+  };
+
+  /**
+   * Remove the channel from a screen, including the screen's regions.
+   *
+   * @param screenID
+   *   Id of the screen.
+   */
+  Channel.prototype.removeScreen = function removeScreen(screenID) {
+    var self = this;
+
+    self.screens = screenIds(self.screens).filter(function (id) {
+      return id !== String(screenID);
+    }).map(normalizeId);
+
+    if (self.regions !== undefined) {
+      self.regions = self.regions.filter(function (region) {
+        return region && String(region.screen) !== String(screenID);
+      });
+    }
+  };
+
+  /**
+   * Make the channel target a screen group.
+   *
+   * @param name
+   *   Name of the group.
+   * @param regions
+   *   Ids of the regions to display the channel in on the screens in the
+   *   group. Replaces the group's current regions if given.
+   */
+  Channel.prototype.addGroup = function addGroup(name, regions) {
+    var self = this;
+    var groups = groupNames(self.groups);
+
+    if (groups.indexOf(String(name)) === -1) {
+      self.groups = groups.concat([String(name)]);
+    }
+
+    if (regions !== undefined) {
+      self.regions = (self.regions || []).filter(function (region) {
+        return region && String(region.group) !== String(name);
+      }).concat(regions.map(function (region) {
+        return {
+          "group": String(name),
+          "region": normalizeId(region)
+        };
+      }));
+    }
+  };
+
+  /**
+   * Stop targeting a screen group, including the group's regions.
+   *
+   * @param name
+   *   Name of the group.
+   */
+  Channel.prototype.removeGroup = function removeGroup(name) {
+    var self = this;
+
+    self.groups = groupNames(self.groups).filter(function (group) {
+      return group !== String(name);
+    });
+
+    if (self.regions !== undefined) {
+      self.regions = self.regions.filter(function (region) {
+        return region && String(region.group) !== String(name);
+      });
+    }
+  };
+
+  /**
+   * Display the channel in a region on a screen.
+   *
+   * The screen is assigned to the channel if it's not already.
+   *
+   * @param screenID
+   *   Id of the screen.
+   * @param regionID
+   *   Id of the region.
+   */
+  Channel.prototype.addRegion = function addRegion(screenID, regionID) {
+    var self = this;
+
+    var regions = self.screenRegions(screenID).map(String);
+    if (regions.indexOf(String(regionID)) === -1) {
+      self.addScreen(screenID, regions.concat([regionID]));
+    }
+    else {
+      self.addScreen(screenID);
+    }
+  };
+
+  /**
+   * Stop displaying the channel in a region on a screen.
+   *
+   * The channel is removed from the screen when it has no regions left on it.
+   *
+   * @param screenID
+   *   Id of the screen.
+   * @param regionID
+   *   Id of the region.
+   */
+  Channel.prototype.removeRegion = function removeRegion(screenID, regionID) {
+    var self = this;
+
+    var regions = self.screenRegions(screenID).map(String).filter(function (region) {
+      return region !== String(regionID);
+    });
+
+    if (regions.length) {
+      self.addScreen(screenID, regions);
+    }
+    else {
+      self.removeScreen(screenID);
+    }
+  };
+
+  /**
+   * Check if the channel should be displayed at a given time.
+   *
+   * @param time
+   *   Unix timestamp.
+   *
+   * @returns {boolean}
+   *   True if the channel has no schedule or the time is inside it.
+   */
+  Channel.prototype.isActive = function isActive(time) {
+    return schedule.isActive(this.schedule, time);
+  };
+
+  /**
+   * Check if the channel is outside its schedule but opens soon.
+   *
+   * @param time
+   *   Unix timestamp to check at.
+   *
+   * @returns {boolean}
+   *   True if it is active within the prefetch time (media "ahead").
+   */
+  Channel.prototype.isUpcoming = function isUpcoming(time) {
+    return prefetchAhead > 0 && !this.isActive(time) && this.isActive(time + prefetchAhead);
+  };
+
+  /**
+   * Find the regions of a given screen the channel should be displayed in.
+   *
+   * @param screenID
+   *   Id of the screen.
+   * @param groups
+   *   (Optional) Names of the groups the screen is in.
+   *
+   * @returns {Array}
+   *   The region ids.
+   */
+  Channel.prototype.screenRegions = function screenRegions(screenID, groups) {
+    return regionsOf(this.regions, screenID, groups);
+  };
+
   /**
    * Checks if the channel has content for a given screen.
    *
@@ -208,7 +1446,7 @@ module.exports = function (options, imports, register) {
   Channel.prototype.hasScreen = function hasScreen(screenID) {
     var self = this;
     for (var i in self.screens) {
-      if (self.screens[i] === screenID) {
+      if (String(self.screens[i]) === String(screenID)) {
         return true;
       }
     }
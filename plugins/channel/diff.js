@@ -0,0 +1,122 @@
+/**
+ * @file
+ * Structural diff of JSON values.
+ *
+ * The difference is returned as JSON Patch (RFC 6902) operations ("add",
+ * "remove" and "replace") with JSON Pointer paths. Removed and replaced
+ * operations also contain the "old" value, which JSON Patch implementations
+ * ignore.
+ */
+
+/**
+ * Escape a key for use in a JSON Pointer.
+ *
+ * @param key
+ *   The object key or array index.
+ *
+ * @returns {string}
+ */
+function escape(key) {
+  "use strict";
+
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Get the type of a JSON value.
+ *
+ * @param value
+ *   The value.
+ *
+ * @returns {string}
+ *   "array", "object", "null" or the typeof the value.
+ */
+function type(value) {
+  "use strict";
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Add the operations that turns one value into another.
+ *
+ * @param ops
+ *   The list of operations to add to.
+ * @param path
+ *   JSON Pointer to the values.
+ * @param from
+ *   The old value.
+ * @param to
+ *   The new value.
+ */
+function compare(ops, path, from, to) {
+  "use strict";
+
+  var fromType = type(from);
+  var toType = type(to);
+  var i;
+
+  if (fromType !== toType) {
+    ops.push({ "op": 'replace', "path": path, "value": to, "old": from });
+  }
+  else if (fromType === 'array') {
+    var common = Math.min(from.length, to.length);
+    for (i = 0; i < common; i++) {
+      compare(ops, path + '/' + i, from[i], to[i]);
+    }
+    for (i = common; i < to.length; i++) {
+      ops.push({ "op": 'add', "path": path + '/' + i, "value": to[i] });
+    }
+
+    // Remove from the end, so the indexes stay valid while applying.
+    for (i = from.length - 1; i >= common; i--) {
+      ops.push({ "op": 'remove', "path": path + '/' + i, "old": from[i] });
+    }
+  }
+  else if (fromType === 'object') {
+    Object.keys(from).forEach(function (key) {
+      if (from[key] === undefined) {
+        return;
+      }
+      if (!to.hasOwnProperty(key) || to[key] === undefined) {
+        ops.push({ "op": 'remove', "path": path + '/' + escape(key), "old": from[key] });
+      }
+      else {
+        compare(ops, path + '/' + escape(key), from[key], to[key]);
+      }
+    });
+    Object.keys(to).forEach(function (key) {
+      if (to[key] !== undefined && (!from.hasOwnProperty(key) || from[key] === undefined)) {
+        ops.push({ "op": 'add', "path": path + '/' + escape(key), "value": to[key] });
+      }
+    });
+  }
+  else if (from !== to) {
+    ops.push({ "op": 'replace', "path": path, "value": to, "old": from });
+  }
+}
+
+/**
+ * Find the difference between two JSON values.
+ *
+ * @param from
+ *   The old value.
+ * @param to
+ *   The new value.
+ *
+ * @returns {Array}
+ *   The JSON Patch operations that turns "from" into "to". Empty if the
+ *   values are equal.
+ */
+module.exports = function diff(from, to) {
+  "use strict";
+
+  var ops = [];
+  compare(ops, '', from, to);
+
+  return ops;
+};
@@ -0,0 +1,122 @@
+/**
+ * @file
+ * Find the media urls in channel data.
+ *
+ * The media is found with paths relative to each slide in "data.slides" (or
+ * the data itself if it has no slides), chosen by the slide's "template". A
+ * path is keys separated by "/", where "*" matches any key or index. Every url
+ * at or below the value found is collected.
+ */
+
+// Paths used for slides without configured paths.
+var DEFAULT_PATHS = {
+  "default": ['media']
+};
+
+/**
+ * Check if a string is a media url.
+ *
+ * @param value
+ *   The string.
+ *
+ * @returns {boolean}
+ */
+function isUrl(value) {
+  "use strict";
+
+  return /^(https?:)?\/\//.test(value) || /^\/[^\/]/.test(value);
+}
+
+/**
+ * Collect the urls in a value.
+ *
+ * @param urls
+ *   The list to add the urls to.
+ * @param value
+ *   The value (string, array or object).
+ */
+function collect(urls, value) {
+  "use strict";
+
+  if (typeof value === 'string') {
+    if (isUrl(value) && urls.indexOf(value) === -1) {
+      urls.push(value);
+    }
+  }
+  else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(function (key) {
+      collect(urls, value[key]);
+    });
+  }
+}
+
+/**
+ * Collect the urls found with a path.
+ *
+ * @param urls
+ *   The list to add the urls to.
+ * @param value
+ *   The value to follow the path from.
+ * @param keys
+ *   The keys of the path.
+ */
+function follow(urls, value, keys) {
+  "use strict";
+
+  if (!keys.length) {
+    collect(urls, value);
+    return;
+  }
+  if (value === null || typeof value !== 'object') {
+    return;
+  }
+
+  var rest = keys.slice(1);
+  if (keys[0] === '*') {
+    Object.keys(value).forEach(function (key) {
+      follow(urls, value[key], rest);
+    });
+  }
+  else if (value.hasOwnProperty(keys[0])) {
+    follow(urls, value[keys[0]], rest);
+  }
+}
+
+/**
+ * Find the media urls in channel data.
+ *
+ * @param data
+ *   The channel data.
+ * @param paths
+ *   (Optional) Object with the paths (array) for each slide template and the
+ *   "default" paths for other templates.
+ *
+ * @returns {Array}
+ *   The unique urls in the order found.
+ */
+module.exports = function media(data, paths) {
+  "use strict";
+
+  var urls = [];
+
+  paths = paths || DEFAULT_PATHS;
+  if (data === null || typeof data !== 'object') {
+    return urls;
+  }
+
+  var slides = Array.isArray(data.slides) ? data.slides : [data];
+  slides.forEach(function (slide) {
+    if (slide === null || typeof slide !== 'object') {
+      return;
+    }
+
+    var templatePaths = paths.hasOwnProperty(slide.template) ? paths[slide.template] : paths['default'];
+    (templatePaths || []).forEach(function (path) {
+      follow(urls, slide, path.split('/').filter(function (key) {
+        return key !== '';
+      }));
+    });
+  });
+
+  return urls;
+};
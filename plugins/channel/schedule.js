@@ -0,0 +1,189 @@
+/**
+ * @file
+ * Channel schedules.
+ *
+ * A schedule limits when a channel is displayed on its screens. It may
+ * contain absolute windows (unix timestamps, "from" and "to" are optional)
+ * and recurring rules (weekdays 0-6 with 0 being Sunday and "HH:mm" times)
+ * evaluated in the schedule's timezone:
+ *
+ * {
+ *   "timezone": "Europe/Copenhagen",
+ *   "windows": [{"from": 1538344800, "to": 1540940400}],
+ *   "rules": [{"days": [1, 2, 3, 4, 5], "from": "08:00", "to": "16:00"}]
+ * }
+ *
+ * The channel is active when inside one of the windows and one of the rules.
+ * Leaving out windows or rules means no restriction. A rule with "to" before
+ * "from" runs past midnight into the next day.
+ */
+
+// NPM modules.
+var moment = require('moment-timezone');
+
+// Format of rule times.
+var TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Convert a rule time to minutes since midnight.
+ *
+ * @param time
+ *   The time as "HH:mm".
+ *
+ * @returns {number}
+ */
+function minutes(time) {
+  "use strict";
+
+  var parts = TIME.exec(time);
+  return parseInt(parts[1], 10) * 60 + parseInt(parts[2], 10);
+}
+
+/**
+ * Check if a time is inside a window.
+ *
+ * @param window
+ *   The window with optional "from" and "to" unix timestamps.
+ * @param time
+ *   Unix timestamp.
+ *
+ * @returns {boolean}
+ */
+function inWindow(window, time) {
+  "use strict";
+
+  return (window.from === undefined || window.from === null || time >= window.from) &&
+    (window.to === undefined || window.to === null || time < window.to);
+}
+
+/**
+ * Check if a local time is inside a recurring rule.
+ *
+ * @param rule
+ *   The rule with "days", "from" and "to".
+ * @param local
+ *   Moment in the schedule's timezone.
+ *
+ * @returns {boolean}
+ */
+function inRule(rule, local) {
+  "use strict";
+
+  var days = rule.days || [0, 1, 2, 3, 4, 5, 6];
+  var day = local.day();
+  var now = local.hours() * 60 + local.minutes();
+  var from = minutes(rule.from);
+  var to = minutes(rule.to);
+
+  if (from < to) {
+    return days.indexOf(day) !== -1 && now >= from && now < to;
+  }
+
+  // The rule runs past midnight, so it may have started the day before.
+  return (days.indexOf(day) !== -1 && now >= from) ||
+    (days.indexOf((day + 6) % 7) !== -1 && now < to);
+}
+
+/**
+ * Validate a schedule.
+ *
+ * @param schedule
+ *   The schedule.
+ *
+ * @returns {string|null}
+ *   Message describing the first problem found or null if it is valid.
+ */
+function validate(schedule) {
+  "use strict";
+
+  if (schedule === null || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'Schedule must be an object.';
+  }
+
+  if (schedule.timezone !== undefined && !moment.tz.zone(schedule.timezone)) {
+    return 'Unknown timezone "' + schedule.timezone + '".';
+  }
+
+  if (schedule.windows !== undefined) {
+    if (!Array.isArray(schedule.windows)) {
+      return 'Schedule windows must be an array.';
+    }
+
+    for (var i = 0; i < schedule.windows.length; i++) {
+      var window = schedule.windows[i];
+      if (window === null || typeof window !== 'object') {
+        return 'Schedule window ' + i + ' must be an object.';
+      }
+      if ((window.from !== undefined && typeof window.from !== 'number') ||
+          (window.to !== undefined && typeof window.to !== 'number')) {
+        return 'Schedule window ' + i + ' must use unix timestamps.';
+      }
+      if (window.from !== undefined && window.to !== undefined && window.from >= window.to) {
+        return 'Schedule window ' + i + ' ends before it starts.';
+      }
+    }
+  }
+
+  if (schedule.rules !== undefined) {
+    if (!Array.isArray(schedule.rules)) {
+      return 'Schedule rules must be an array.';
+    }
+
+    for (var j = 0; j < schedule.rules.length; j++) {
+      var rule = schedule.rules[j];
+      if (rule === null || typeof rule !== 'object') {
+        return 'Schedule rule ' + j + ' must be an object.';
+      }
+      if (!TIME.test(rule.from) || !TIME.test(rule.to) || rule.from === rule.to) {
+        return 'Schedule rule ' + j + ' must have different "from" and "to" times as HH:mm.';
+      }
+      if (rule.days !== undefined && (!Array.isArray(rule.days) || !rule.days.every(function (day) {
+        return [0, 1, 2, 3, 4, 5, 6].indexOf(day) !== -1;
+      }))) {
+        return 'Schedule rule ' + j + ' days must be weekdays from 0 (Sunday) to 6.';
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if a schedule is active at a given time.
+ *
+ * @param schedule
+ *   The schedule (undefined means always active).
+ * @param time
+ *   Unix timestamp.
+ *
+ * @returns {boolean}
+ */
+function isActive(schedule, time) {
+  "use strict";
+
+  if (!schedule) {
+    return true;
+  }
+
+  var windows = schedule.windows || [];
+  if (windows.length && !windows.some(function (window) {
+    return inWindow(window, time);
+  })) {
+    return false;
+  }
+
+  var rules = schedule.rules || [];
+  if (rules.length) {
+    var local = moment.unix(time).tz(schedule.timezone || 'UTC');
+    return rules.some(function (rule) {
+      return inRule(rule, local);
+    });
+  }
+
+  return true;
+}
+
+module.exports = {
+  "validate": validate,
+  "isActive": isActive
+};
@@ -16,8 +16,8 @@ module.exports = function (options, imports, register) {
   var socketIO = imports.socket;
   var Screen = imports.screen;
   var logger = imports.logger;
-  var cache = imports.cache;
   var Channel = imports.channel;
+  var broadcast = imports.broadcast;
 
   /**
    * Handle socket connection event from a client.
@@ -26,50 +26,93 @@ module.exports = function (options, imports, register) {
     /**
      * Ready event.
      */
-    socket.on('ready', function () {
+    socket.on('ready', function (data) {
       // Get the JWT decoded token.
       var profile = socket.client.request.decoded_token;
 
       // Create key to store socket under.
       var key = profile.apikey + ':' + profile.screenID;
 
-      // Get last knonw socket for this screen.
-      var cachedSocket = socketIO.get(profile.apikey, profile.screenID);
+      // Get last knonw socket for this screen (on any node).
+      socketIO.get(profile.apikey, profile.screenID).then(
+        function (cachedSocket) {
+          // The screen may have gone while looking for the socket.
+          if (!socket.connected) {
+            return;
+          }
 
-      // Check if the registred screen is different that the one in the cache.
-      if (cachedSocket && cachedSocket.handshake.query.uuid !== socket.handshake.query.uuid) {
-        // It is a nother screen to don't connect, kick it.
-        logger.info('Screen tried to re-connect with used activation code: ' + profile.activationCode + ', apikey: ' + profile.apikey + ', screen id: ' + profile.screenID)
-        socket.emit('booted', {"statusCode": 404});
-        socket.disconnect();
-      }
-      else {
-        // No conflict in socket usage, so lets carry on.
-        registerSocket(socket, key);
-        handleSocketCommunication(socket, profile, key);
-
-        // Update the activation cache with the code used. This is to rebuild
-        // the cache after an cache clear.
-        imports.cache.hashSet('activation:' + profile.apikey, profile.activationCode, profile.screenID, function(error, res) {
-          if (error) {
-            imports.logger.error('Auth: Activation code hash could not be updated.');
+          // Check if the registred screen is different that the one in the cache.
+          if (cachedSocket && cachedSocket.handshake.query.uuid !== socket.handshake.query.uuid) {
+            // It is a nother screen to don't connect, kick it.
+            logger.info('Screen tried to re-connect with used activation code: ' + profile.activationCode + ', apikey: ' + profile.apikey + ', screen id: ' + profile.screenID)
+            socket.emit('booted', {"statusCode": 404});
+            socket.disconnect();
           }
-        });
-      }
+          else {
+            // No conflict in socket usage, so lets carry on.
+            registerSocket(socket, key);
+            handleSocketCommunication(socket, profile, key, data);
+
+            // Update the activation cache with the code used. This is to rebuild
+            // the cache after an cache clear.
+            imports.cache.hashSet('activation:' + profile.apikey, profile.activationCode, profile.screenID, function(error, res) {
+              if (error) {
+                imports.logger.error('Auth: Activation code hash could not be updated.');
+              }
+            });
+          }
+        },
+        function (error) {
+          logger.error('Client: ' + error.message);
+          socket.emit('error', {
+            "statusCode": 500,
+            "message": error.message
+          });
+        }
+      );
     });
   });
 
+  /**
+   * Get the client information sent by a screen in "ready".
+   *
+   * The IP address is found from the connection (or the proxy in front of
+   * it) and the user agent from the handshake if the screen do not send it.
+   *
+   * @param socket
+   *   The screen's socket connection.
+   * @param data
+   *   The data sent with the "ready" event.
+   *
+   * @returns {object}
+   */
+  function clientInfo(socket, data) {
+    var info = {};
+    if (data !== null && typeof data === 'object') {
+      ['version', 'userAgent', 'resolution', 'timezone', 'uptime'].forEach(function (field) {
+        info[field] = data[field];
+      });
+    }
+
+    var headers = socket.handshake.headers || {};
+    if (info.userAgent === undefined) {
+      info.userAgent = headers['user-agent'];
+    }
+    info.ip = headers['x-forwarded-for'] ? headers['x-forwarded-for'].split(',')[0].trim() : socket.handshake.address;
+
+    return info;
+  }
+
   /**
    * Handle socket communication after socket connection have been approved.
    */
-  function handleSocketCommunication(socket, profile, key) {
+  function handleSocketCommunication(socket, profile, key, data) {
     // Try to get the screen.
     var screen = new Screen(profile.apikey, profile.screenID, profile.activationCode);
     screen.load().then(
       function (screenObj) {
         screenObj.title = profile.screenTitle;
-        screenObj.heartbeat = Math.round((new Date()).getTime() / 1000);
-        screenObj.save().then(
+        Q.all([screenObj.save(), screenObj.saveHeartbeat()]).then(
           function () {
             // Send a 200 ready code back to the client with information about
             // template and options.
@@ -83,50 +126,62 @@ module.exports = function (options, imports, register) {
               }
             });
 
-            // Load all channels with the clients api key to see if they have
-            // content for the channel.
-            cache.membersOfSet('channel:' + profile.apikey, function(err, channels) {
-              if (err) {
+            // Keep the player version and environment reported.
+            screenObj.saveClient(clientInfo(socket, data)).fail(function (error) {
+              logger.error('Client: client information could not be saved "' + error.message + '"');
+            });
+
+            // The screen have the latest settings now.
+            screenObj.settingsDelivered().fail(function (error) {
+              logger.error('Client: settings delivery could not be saved "' + error.message + '"');
+            });
+
+            // Send the events queued while the screen was not connected,
+            // then the channels that have content for the screen and was not
+            // in the queue.
+            var delivered = [];
+            screenObj.deliverQueue(socket).then(function (channelIds) {
+              delivered = channelIds.map(String);
+
+              // Send the active broadcasts that was not in the queue.
+              broadcast.deliverToScreen(screenObj, delivered).fail(function (error) {
+                logger.error('Client: broadcasts could not be delivered "' + error.message + '"');
+              });
+
+              return Channel.loadForScreen(profile.apikey, profile.screenID, screenObj.groups);
+            }).then(
+              function (channels) {
+                var now = Math.round((new Date()).getTime() / 1000);
+                for (var i = 0; i < channels.length; i++) {
+                  var pending = delivered.indexOf(String(channels[i].id)) === -1 && channels[i].isActive(now);
+
+                  // Let the screen fetch the media of the channels it is
+                  // about to display.
+                  if (pending || channels[i].isUpcoming(now)) {
+                    var manifest = channels[i].manifest();
+                    if (manifest.assets.length) {
+                      screenObj.prefetch(manifest);
+                    }
+                  }
+
+                  // Channels outside their schedule are pushed by the jobs
+                  // plugin when their window opens.
+                  if (pending) {
+                    // Send channel content to the current screen.
+                    screenObj.push({
+                      "regions": channels[i].screenRegions(screenObj.id, screenObj.groups),
+                      "data": channels[i].data
+                    }, channels[i].id, channels[i].version);
+                  }
+                }
+              },
+              function (error) {
                 socket.emit('error', {
                   "statusCode": 500,
-                  "message": err.message
+                  "message": error.message
                 });
               }
-              else {
-                // Loop over channel ID's and load channels.
-                for (var i in channels) {
-                  var channel = new Channel(profile.apikey, channels[i]);
-
-                  // Load channel to get screens.
-                  channel.load().then(
-                    function (channelObj) {
-                      // Check if channel has the screen.
-                      if (channelObj.hasScreen(profile.screenID)) {
-                        // Ask screen to push content.
-                        var regions = [];
-                        for (var j = 0; j < channelObj.regions.length; j++) {
-                          if (channelObj.regions[j].screen === screenObj.id) {
-                            regions.push(channelObj.regions[j].region);
-                          }
-                        }
-
-                        // Send channel content to the current screen.
-                        screenObj.push({
-                          "regions": regions,
-                          "data": channelObj.data
-                        });
-                      }
-                    },
-                    function (error) {
-                      socket.emit('error', {
-                        "statusCode": 500,
-                        "message": error.message
-                      });
-                    }
-                  );
-                }
-              }
-            });
+            );
           },
           function (error) {
             // Send error to client.
@@ -172,9 +227,88 @@ module.exports = function (options, imports, register) {
       );
     });
 
+    /**
+     * Proof-of-play statistics from the screen.
+     */
+    socket.on('stats', function (events, callback) {
+      var message = imports.stats.validate(events);
+      var promise = message === null ? imports.stats.record(profile.apikey, profile.screenID, events) : Q.reject(new Error(message));
+
+      promise.then(
+        function () {
+          if (typeof callback === 'function') {
+            callback({ "statusCode": 200 });
+          }
+        },
+        function (error) {
+          logger.error('Client: stats from ' + key + ' not recorded "' + error.message + '"');
+          if (typeof callback === 'function') {
+            callback({
+              "statusCode": message === null ? 500 : 400,
+              "message": error.message
+            });
+          }
+        }
+      );
+    });
+
+    /**
+     * Console log entries from the screen.
+     */
+    socket.on('log', function (entries, callback) {
+      var message = imports.clientlog.validate(entries);
+      var promise = message === null ? imports.clientlog.add(profile.apikey, profile.screenID, entries) : Q.reject(new Error(message));
+
+      promise.then(
+        function () {
+          if (typeof callback === 'function') {
+            callback({ "statusCode": 200 });
+          }
+        },
+        function (error) {
+          logger.error('Client: log entries from ' + key + ' not saved "' + error.message + '"');
+          if (typeof callback === 'function') {
+            callback({
+              "statusCode": message === null ? 500 : 400,
+              "message": error.message
+            });
+          }
+        }
+      );
+    });
+
+    /**
+     * Screenshot taken by the screen (as a data url).
+     */
+    socket.on('screenshot', function (url, callback) {
+      var image = imports.screenshot.decode(url);
+      var message = image === null ? 'The screenshot should be a base64 encoded data url.' : imports.screenshot.validate(image.type, image.data);
+      var promise = message === null ? imports.screenshot.add(profile.apikey, profile.screenID, image.type, image.data) : Q.reject(new Error(message));
+
+      promise.then(
+        function (screenshot) {
+          if (typeof callback === 'function') {
+            callback({
+              "statusCode": 200,
+              "id": screenshot.id
+            });
+          }
+        },
+        function (error) {
+          logger.error('Client: screenshot from ' + key + ' not saved "' + error.message + '"');
+          if (typeof callback === 'function') {
+            callback({
+              "statusCode": message === null ? 500 : 400,
+              "message": error.message
+            });
+          }
+        }
+      );
+    });
+
     // Listen to disconnect and remove socket from store.
     socket.on('disconnect', function() {
-      socketIO.remove(key);
+      socketIO.remove(key, socket);
 
       // Log dis-connection event.
       logger.socket("Disconnected " + profile.apikey + ' <-:-> ' + profile.screenID);
@@ -187,15 +321,9 @@ module.exports = function (options, imports, register) {
     */
     socket.conn.on('heartbeat', function heartbeat() {
       var screen = new Screen(profile.apikey, profile.screenID);
-      screen.load().then(
-        function (screenObj) {
-          screenObj.heartbeat = Math.round((new Date()).getTime() / 1000);
-          screenObj.save();
-        },
-        function (error) {
-          logger.info('Client: unable to load screen to set heartbeat.');
-        }
-      );
+      screen.saveHeartbeat().fail(function () {
+        logger.info('Client: unable to set heartbeat.');
+      });
     });
   }
 
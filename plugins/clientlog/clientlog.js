@@ -0,0 +1,257 @@
+/**
+ * @file
+ * Collects the console log entries sent by the screens.
+ *
+ * The entries are kept per screen in a capped list (newest first) and posted
+ * to a pub/sub channel, so they can be followed live from any node.
+ */
+
+var EventEmitter = require('events').EventEmitter;
+
+// Pub/sub channel the entries are posted to.
+var CHANNEL = 'clientlog';
+
+// Levels accepted.
+var LEVELS = ['error', 'warn', 'info', 'log', 'debug'];
+
+// Max number of entries in a batch.
+var MAX_BATCH = 100;
+
+/**
+ * Define the ClientLog object (constructor).
+ *
+ * @param cache
+ *   The cache to store the entries in.
+ * @param logger
+ *   The event logger.
+ * @param max
+ *   Number of entries kept for each screen.
+ */
+var ClientLog = function ClientLog(cache, logger, max) {
+  "use strict";
+
+  var self = this;
+
+  this.cache = cache;
+  this.logger = logger;
+  this.max = max;
+
+  // Listeners following the entries of a screen, keyed by API key and screen
+  // id.
+  this.listeners = new EventEmitter();
+  this.listeners.setMaxListeners(0);
+
+  cache.subscribe(CHANNEL, function (message) {
+    try {
+      message = JSON.parse(message);
+    }
+    catch (error) {
+      self.logger.error('ClientLog: invalid message "' + error.message + '"');
+      return;
+    }
+
+    self.listeners.emit(message.apikey + ':' + message.screen, message.entries);
+  });
+};
+
+/**
+ * Get the key of the list with the entries of a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ *
+ * @returns {string}
+ */
+function logKey(apikey, screenID) {
+  "use strict";
+
+  return 'clientlog:' + apikey + ':' + screenID;
+}
+
+/**
+ * Get the current unix timestamp.
+ *
+ * @returns {number}
+ */
+function now() {
+  "use strict";
+
+  return Math.round((new Date()).getTime() / 1000);
+}
+
+/**
+ * Validate log entries.
+ *
+ * Each entry should have a "level" (error, warn, info, log or debug) and a
+ * "message". The "stack" is optional and the "time" (unix timestamp)
+ * defaults to when it's received.
+ *
+ * @param entries
+ *   Array of log entries.
+ *
+ * @returns {*}
+ *   Error message or null if the entries are valid.
+ */
+ClientLog.prototype.validate = function validate(entries) {
+  "use strict";
+
+  if (!Array.isArray(entries) || !entries.length) {
+    return 'Entries should be a non empty array.';
+  }
+  if (entries.length > MAX_BATCH) {
+    return 'At most ' + MAX_BATCH + ' entries can be sent at once.';
+  }
+
+  for (var i = 0; i < entries.length; i++) {
+    var entry = entries[i];
+    if (entry === null || typeof entry !== 'object') {
+      return 'Entry ' + i + ' should be an object.';
+    }
+    if (LEVELS.indexOf(entry.level) === -1) {
+      return 'Entry ' + i + ' should have a "level" (' + LEVELS.join(', ') + ').';
+    }
+    if (typeof entry.message !== 'string') {
+      return 'Entry ' + i + ' should have a "message".';
+    }
+    if (entry.stack !== undefined && entry.stack !== null && typeof entry.stack !== 'string') {
+      return 'Entry ' + i + ' "stack" should be a string.';
+    }
+    if (entry.time !== undefined && !isFinite(entry.time)) {
+      return 'Entry ' + i + ' "time" should be a unix timestamp.';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Add log entries from a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ * @param entries
+ *   The validated log entries (oldest first).
+ *
+ * @returns {*}
+ *   Promise that resolves with the entries saved.
+ */
+ClientLog.prototype.add = function add(apikey, screenID, entries) {
+  "use strict";
+
+  var self = this;
+  var key = logKey(apikey, screenID);
+
+  entries = entries.map(function (entry) {
+    var result = {
+      "level": entry.level,
+      "message": entry.message.substr(0, 4096),
+      "time": entry.time !== undefined ? Math.round(Number(entry.time)) : now()
+    };
+    if (entry.stack) {
+      result.stack = entry.stack.substr(0, 8192);
+    }
+
+    return result;
+  });
+
+  return self.cache.batch([
+    ['lpush', key].concat(entries.map(function (entry) {
+      return JSON.stringify(entry);
+    })),
+    ['ltrim', key, 0, self.max - 1]
+  ]).then(function () {
+    self.cache.publish(CHANNEL, JSON.stringify({
+      "apikey": apikey,
+      "screen": String(screenID),
+      "entries": entries
+    })).fail(function (error) {
+      self.logger.error('ClientLog: entries could not be published "' + error.message + '"');
+    });
+
+    return entries;
+  });
+};
+
+/**
+ * Get the latest log entries of a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ * @param count
+ *   (Optional) Max number of entries. Defaults to all kept.
+ *
+ * @returns {*}
+ *   Promise that resolves with the entries (newest first).
+ */
+ClientLog.prototype.get = function get(apikey, screenID, count) {
+  "use strict";
+
+  return this.cache.listRange(logKey(apikey, screenID), 0, count ? count - 1 : -1).then(function (entries) {
+    return (entries || []).map(function (entry) {
+      return JSON.parse(entry);
+    });
+  });
+};
+
+/**
+ * Remove the log entries of a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ *
+ * @returns {*}
+ *   Promise that resolves when the entries have been removed.
+ */
+ClientLog.prototype.remove = function remove(apikey, screenID) {
+  "use strict";
+
+  return this.cache.remove(logKey(apikey, screenID));
+};
+
+/**
+ * Follow the log entries of a screen as they are received (on any node).
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ * @param handler
+ *   Function called with the entries (oldest first) of each batch.
+ *
+ * @returns {Function}
+ *   Function to call to stop following the entries.
+ */
+ClientLog.prototype.follow = function follow(apikey, screenID, handler) {
+  "use strict";
+
+  var self = this;
+  var event = apikey + ':' + screenID;
+
+  self.listeners.on(event, handler);
+
+  return function () {
+    self.listeners.removeListener(event, handler);
+  };
+};
+
+/**
+ * Register the plugin with architect.
+ */
+module.exports = function (options, imports, register) {
+  "use strict";
+
+  var clientLog = new ClientLog(imports.cache, imports.logger, options.max || 200);
+
+  // Register the plugin with the system.
+  register(null, {
+    "clientlog": clientLog
+  });
+};
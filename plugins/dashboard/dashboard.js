@@ -16,10 +16,12 @@
  *   Cache object.
  * @param Screen
  *   Screen object.
+ * @param screenshot
+ *   Screenshot object.
  *
  * @constructor
  */
-var Dashboard = function Admin(app, logger, apikeys, cache, Screen, options) {
+var Dashboard = function Admin(app, logger, apikeys, cache, Screen, screenshot, options) {
   "use strict";
 
   var twig = require('twig');
@@ -33,6 +35,7 @@ var Dashboard = function Admin(app, logger, apikeys, cache, Screen, options) {
   this.cache = cache;
   this.apikeys = apikeys;
   this.screen = Screen;
+  this.screenshot = screenshot;
   this.config = options;
 
   this.Q = require('q');
@@ -100,7 +103,7 @@ var Dashboard = function Admin(app, logger, apikeys, cache, Screen, options) {
    * Dashboard status callback.
    */
   app.get('/dashboard/status', function (req, res) {
-    self.buildScreenData().then(function (screens) {
+    self.buildScreenData(false).then(function (screens) {
       var counts = {
         total: 0,
         critical: 0,
@@ -146,6 +149,23 @@ var Dashboard = function Admin(app, logger, apikeys, cache, Screen, options) {
     })
   });
 
+  /**
+   * The latest screenshot of a screen.
+   */
+  app.get('/dashboard/screenshot/:apikey/:id', self.auth, function (req, res) {
+    self.screenshot.get(req.params.apikey, req.params.id, 'latest').then(function (image) {
+      if (image === null) {
+        res.sendStatus(404);
+      }
+      else {
+        res.type(image.type).send(image.data);
+      }
+    },
+    function error(error) {
+      res.status(500).send(error.message);
+    });
+  });
+
   /**
    * Configuration page to blacklist screens from the critical list.
    *
@@ -157,7 +177,7 @@ var Dashboard = function Admin(app, logger, apikeys, cache, Screen, options) {
       data: fs.readFileSync(__dirname + '/views/blacklist.html', 'utf8')
     });
 
-    self.buildScreenData().then(function (screens) {
+    self.buildScreenData(true).then(function (screens) {
       // Sort screens by name for each installation.
       for (var key in screens) {
         if (screens[key].length > 1) {
@@ -207,8 +227,12 @@ var Dashboard = function Admin(app, logger, apikeys, cache, Screen, options) {
 
 /**
  * Helper function to async load all information about screens known to the middleware.
+ *
+ * @param {boolean} all
+ *   Load all screens. If false only screens with expired heartbeats are
+ *   loaded.
  */
-Dashboard.prototype.buildScreenData = function buildScreenData() {
+Dashboard.prototype.buildScreenData = function buildScreenData(all) {
   var self = this;
   var deferred = self.Q.defer();
 
@@ -221,7 +245,7 @@ Dashboard.prototype.buildScreenData = function buildScreenData() {
           self.Q().then(function () {
             var keysPromises = [];
             for (var apikey in keys) {
-              keysPromises.push(self.loadKeyScreens(apikey, keys[apikey].name, blacklist));
+              keysPromises.push(self.loadKeyScreens(apikey, keys[apikey].name, blacklist, all));
             }
 
             return keysPromises;
@@ -260,10 +284,13 @@ Dashboard.prototype.buildScreenData = function buildScreenData() {
  *   Name of the installation.
  * @param {object} blacklist.
  *   The blacklisted screens.
+ * @param {boolean} all
+ *   Load all screens. If false only the screens with expired heartbeats are
+ *   loaded (found with a range query) and "all" is left empty.
  *
  * @return promises
  */
-Dashboard.prototype.loadKeyScreens = function loadKeyScreens(apikey, name, blacklist) {
+Dashboard.prototype.loadKeyScreens = function loadKeyScreens(apikey, name, blacklist, all) {
   var self = this;
   var deferred = self.Q.defer();
 
@@ -280,94 +307,100 @@ Dashboard.prototype.loadKeyScreens = function loadKeyScreens(apikey, name, black
     }
   };
 
-  self.cache.membersOfSet('screen:' + apikey, function (err, data) {
-    self.Q().then(function () {
-      var screenPromises = [];
-      // Loop over screens and build promises array.
-      for (var i in data) {
-        screenPromises.push(self.loadScreen(apikey, name, data[i]));
-      }
+  // Only the screen ids are needed to count the screens.
+  var blacklisted = blacklist.hasOwnProperty(apikey) ? blacklist[apikey] : [];
+  var clients = {};
+  var screenshots = {};
+  var loaded = self.Q.all([
+    self.cache.membersOfSet('screen:' + apikey),
+    self.screen.clients(apikey),
+    self.screenshot.latest(apikey)
+  ]).spread(function (ids, screenClients, latestScreenshots) {
+    clients = screenClients;
+    screenshots = latestScreenshots;
+    screens.count.total = ids.length;
+    screens.count.blacklist = ids.filter(function (id) {
+      return blacklisted.includes(id);
+    }).length;
+
+    if (all) {
+      return self.screen.loadMultiple(apikey, ids);
+    }
 
-      return screenPromises;
-    })
-    .all()
-    .then(function (loadedScreens) {
-      // When all promises (screens are load) resovled loop over the screens.
-      for (var i in loadedScreens) {
-        var screen = loadedScreens[i];
-
-        // Check blacklist.
-        if (blacklist.hasOwnProperty(screen.apikey) && blacklist[screen.apikey].includes(screen.id)) {
-          if (!screens.blacklist.hasOwnProperty(screen.apikey)) {
-            screens.blacklist[screen.apikey] = [];
-          }
-          screens.blacklist[screen.apikey].push(screen);
-          screens.count.blacklist++;
+    var limit = Math.round((new Date()).getTime() / 1000) - self.config.expire;
+    return self.screen.loadNotSeenSince(apikey, limit);
+  });
+
+  loaded.then(function (screenObjs) {
+    for (var i in screenObjs) {
+      var screen = self.screenInfo(apikey, name, screenObjs[i], clients[screenObjs[i].id], screenshots[screenObjs[i].id]);
+
+      // Check blacklist.
+      if (blacklist.hasOwnProperty(screen.apikey) && blacklist[screen.apikey].includes(screen.id)) {
+        if (!screens.blacklist.hasOwnProperty(screen.apikey)) {
+          screens.blacklist[screen.apikey] = [];
         }
-        else {
-          // Check if beat has expire and add it to "critical" bucket.
-          if (screen.expired) {
-            if (!screens.critical.hasOwnProperty(screen.apikey)) {
-              screens.critical[screen.apikey] = [];
-            }
-            screens.critical[screen.apikey].push(screen);
-            screens.count.critical++;
+        screens.blacklist[screen.apikey].push(screen);
+      }
+      else {
+        // Check if beat has expire and add it to "critical" bucket.
+        if (screen.expired) {
+          if (!screens.critical.hasOwnProperty(screen.apikey)) {
+            screens.critical[screen.apikey] = [];
           }
+          screens.critical[screen.apikey].push(screen);
+          screens.count.critical++;
         }
+      }
 
-        // Add all beats to the all array.
+      // Add all beats to the all array.
+      if (all) {
         if (!screens.all.hasOwnProperty(screen.apikey)) {
           screens.all[screen.apikey] = [];
         }
         screens.all[screen.apikey].push(screen);
-        screens.count.total++;
       }
-      deferred.resolve(screens);
-    },
-    function (error) {
-      deferred.reject(error);
-    })
+    }
+    deferred.resolve(screens);
+  },
+  function (error) {
+    self.logger.error(error.message);
+    deferred.reject(error);
   });
 
   return deferred.promise;
 };
 
 /**
- * Helper function to load a screen.
+ * Helper function to build the information displayed about a screen.
  *
  * @param apikey
- *   API-key for the screen to load.
+ *   API-key for the screen.
  * @param name
  *   The name linked to the api-key.
- * @param screenId
- *   The id of screen to load.
+ * @param screenObj
+ *   The loaded screen object.
+ * @param client
+ *   (Optional) The client information reported by the screen.
+ * @param screenshot
+ *   (Optional) The description of the screen's latest screenshot.
  *
- * @returns {*}
+ * @returns {object}
  */
-Dashboard.prototype.loadScreen = function loadScreen(apikey, name, screenId) {
+Dashboard.prototype.screenInfo = function screenInfo(apikey, name, screenObj, client, screenshot) {
   var self = this;
-  var deferred = self.Q.defer();
 
-  var screen = new self.screen(apikey, screenId);
-  screen.load().then(
-    function (screenObj) {
-      deferred.resolve({
-        apikey: apikey,
-        name: name,
-        id: screenObj.id,
-        title: screenObj.title,
-        heartbeat: screenObj.heartbeat,
-        time: self.moment.unix(screenObj.heartbeat).format('D. MMM YY - HH:mm:ss'),
-        expired: self.expired(screenObj.heartbeat)
-      })
-    },
-    function (error) {
-      self.logger.error(error.message);
-      deferred.reject(error.message);
-    }
-  );
-
-  return deferred.promise;
+  return {
+    apikey: apikey,
+    name: name,
+    id: screenObj.id,
+    title: screenObj.title,
+    heartbeat: screenObj.heartbeat,
+    time: self.moment.unix(screenObj.heartbeat).format('D. MMM YY - HH:mm:ss'),
+    expired: self.expired(screenObj.heartbeat),
+    client: client || null,
+    screenshot: screenshot ? self.moment.unix(screenshot.time).format('D. MMM YY - HH:mm:ss') : null
+  };
 };
 
 /**
@@ -444,7 +477,7 @@ module.exports = function (options, imports, register) {
   "use strict";
 
   // Create the API routes using the API object.
-  new Dashboard(imports.app, imports.logger, imports.apikeys, imports.cache, imports.screen, options);
+  new Dashboard(imports.app, imports.logger, imports.apikeys, imports.cache, imports.screen, imports.screenshot, options);
 
   // This plugin extends the server plugin and do not provide new services.
   register(null, null);
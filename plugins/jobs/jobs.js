@@ -6,6 +6,26 @@
 // NPM modules.
 var CronJob = require('cron').CronJob;
 
+/**
+ * Call a function for each API key.
+ *
+ * @param self
+ *   The jobs object.
+ * @param callback
+ *   Function called with each API key.
+ */
+function forEachApikey(self, callback) {
+  "use strict";
+
+  self.apikeys.load().then(
+    function (keys) {
+      Object.keys(keys).forEach(callback);
+    }, function (error) {
+      self.logger.error(error.message);
+    }
+  );
+}
+
 /**
  * Check if screen should be removed from the middleware do to inactivity.
  *
@@ -15,47 +35,86 @@ var CronJob = require('cron').CronJob;
 function cleanDeadScreens(self, apikey) {
   "use strict";
 
-  self.cache.membersOfSet('screen:' + apikey, function (err, screens) {
-    if (err) {
-      self.logger.error(err.message);
-    }
-    else {
-      // Loop over screens and build promises array.
-      for (var i in screens) {
-        var sc = new self.screen(apikey, screens[i]);
-        sc.load().then(
-          function (screenObj) {
-            // @TODO: Make limit configurable (now 14 days with out contact)
-            // Calculate limit for when an screen should be removed.
-            var limit = Math.round((new Date()).getTime() / 1000) - 1209600;
-            if (screenObj.heartbeat === undefined) {
-              // Screen have never been connected.
-              screenObj.remove();
-            }
-            else if (screenObj.heartbeat < limit) {
-              // Screen have not been seen for a long time.
-              screenObj.remove();
-            }
-          },
-          function (error) {
-            self.logger.error(error.message);
-          }
-        );
+  // @TODO: Make limit configurable (now 14 days with out contact)
+  // Calculate limit for when an screen should be removed.
+  var limit = Math.round((new Date()).getTime() / 1000) - 1209600;
+
+  // Find screens that have never been connected or have not been seen for a
+  // long time, without loading the screens that are alive.
+  self.Q.all([
+    self.cache.membersOfSet('screen:' + apikey),
+    self.screen.heartbeats(apikey, limit)
+  ]).spread(function (ids, beats) {
+    var alive = beats.map(function (beat) {
+      return beat.id;
+    });
+
+    return self.screen.loadMultiple(apikey, ids.filter(function (id) {
+      return alive.indexOf(id) === -1;
+    }));
+  }).then(
+    function (screens) {
+      for (var i = 0; i < screens.length; i++) {
+        screens[i].remove();
       }
+    },
+    function (error) {
+      self.logger.error(error.message);
+    }
+  );
+}
+
+/**
+ * Push or remove the scheduled channels which windows have opened or closed,
+ * and send the media of channels opening soon for prefetching.
+ *
+ * When more instances run against the same cache only the first one to get
+ * the minute's lock checks the schedules.
+ *
+ * @param apikey
+ *   The API key to check channels under.
+ */
+function checkSchedules(self, apikey) {
+  "use strict";
+
+  var time = Math.round((new Date()).getTime() / 1000);
+  var lock = 'schedule:' + apikey + ':lock:' + Math.floor(time / 60);
+
+  self.cache.increment(lock).then(function (count) {
+    if (count !== 1) {
+      return;
     }
+
+    self.cache.expire(lock, 120).fail(function () {});
+
+    return self.channel.checkSchedules(apikey, time).then(function (result) {
+      if (result.opened.length || result.closed.length) {
+        self.logger.info('Jobs: schedules for "' + apikey + '" opened ' + JSON.stringify(result.opened) + ' and closed ' + JSON.stringify(result.closed) + '.');
+      }
+      if (result.prefetched.length) {
+        self.logger.info('Jobs: media of ' + JSON.stringify(result.prefetched) + ' sent for prefetching to screens of "' + apikey + '".');
+      }
+    });
+  }).fail(function (error) {
+    self.logger.error('Jobs: schedules could not be checked "' + error.message + '"');
   });
 }
 
 /**
  * Define the Base object (constructor).
  */
-var Jobs = function Jobs(cache, screen, apikeys, logger) {
+var Jobs = function Jobs(cache, screen, channel, apikeys, logger, broadcast, cap) {
   "use strict";
 
   this.cache = cache;
+  this.broadcast = broadcast;
+  this.cap = cap;
   this.screen = screen;
+  this.channel = channel;
   this.apikeys = apikeys;
   this.logger = logger;
+
+  this.Q = require('q');
 };
 
 /**
@@ -69,21 +128,119 @@ Jobs.prototype.cacheCleanUp = function cacheCleanUp() {
   // @TODO: Make job run configurable.
   // Run job every hour.
   new CronJob('0 0 * * * *', function() {
-    // Load all api keys.
-    self.apikeys.load().then(
-      function (keys) {
-        keys = Object.keys(keys);
-        for (var i = 0; i < keys.length; i++) {
-          // Call clean dead screens to remove daed screens.
-          cleanDeadScreens(self, keys[i]);
+    // Call clean dead screens to remove daed screens.
+    forEachApikey(self, function (apikey) {
+      cleanDeadScreens(self, apikey);
+    });
+  }, null, true);
+};
+
+/**
+ * Starts up the cron job that pushes and removes scheduled channels.
+ */
+Jobs.prototype.channelSchedules = function channelSchedules() {
+  "use strict";
+
+  var self = this;
+
+  // Run job every minute.
+  new CronJob('0 * * * * *', function() {
+    forEachApikey(self, function (apikey) {
+      checkSchedules(self, apikey);
+    });
+  }, null, true);
+};
+
+/**
+ * Starts up the cron job that clears expired broadcasts.
+ */
+Jobs.prototype.expireBroadcasts = function expireBroadcasts() {
+  "use strict";
+
+  var self = this;
+
+  // Run job every 10 seconds, so broadcasts are not shown long after they
+  // have expired.
+  new CronJob('*/10 * * * * *', function() {
+    self.broadcast.expire().then(
+      function (ids) {
+        if (ids.length) {
+          self.logger.info('Jobs: expired broadcasts ' + JSON.stringify(ids) + '.');
+        }
+      },
+      function (error) {
+        self.logger.error('Jobs: broadcasts could not be expired "' + error.message + '"');
+      }
+    );
+  }, null, true);
+};
+
+/**
+ * Starts up the cron job that retracts expired CAP alerts.
+ */
+Jobs.prototype.expireAlerts = function expireAlerts() {
+  "use strict";
+
+  var self = this;
+
+  // Run job every minute.
+  new CronJob('15 * * * * *', function() {
+    self.cap.removeExpired().then(
+      function (count) {
+        if (count) {
+          self.logger.info('Jobs: retracted ' + count + ' expired CAP alerts.');
         }
-      }, function (error) {
-        self.logger.error(error.message);
+      },
+      function (error) {
+        self.logger.error('Jobs: CAP alerts could not be retracted "' + error.message + '"');
       }
     );
   }, null, true);
 };
 
+/**
+ * Build the screen to channels index for all API keys.
+ *
+ * Channels saved before the index existed are not in it, so it's build once
+ * at start up.
+ */
+Jobs.prototype.rebuildChannelIndex = function rebuildChannelIndex() {
+  "use strict";
+
+  var self = this;
+
+  forEachApikey(self, function (apikey) {
+    self.channel.rebuildIndex(apikey).fail(function (error) {
+      self.logger.error('Jobs: channel index could not be build "' + error.message + '"');
+    });
+  });
+};
+
+/**
+ * Move heartbeats stored in the screen data to the heartbeat storage.
+ *
+ * Screens saved before heartbeats got their own storage would else be seen
+ * as never connected by the clean up job.
+ */
+Jobs.prototype.migrateHeartbeats = function migrateHeartbeats() {
+  "use strict";
+
+  var self = this;
+
+  forEachApikey(self, function (apikey) {
+    self.screen.migrateHeartbeats(apikey).then(
+      function (count) {
+        if (count) {
+          self.logger.info('Jobs: moved ' + count + ' heartbeats for "' + apikey + '".');
+        }
+      },
+      function (error) {
+        self.logger.error('Jobs: heartbeats could not be moved "' + error.message + '"');
+      }
+    );
+  });
+};
+
 /**
  * Register the plugin with architect.
  */
@@ -91,8 +248,13 @@ module.exports = function (options, imports, register) {
   "use strict";
 
   // Get the clean up jobs running.
-  var jobs = new Jobs(imports.cache, imports.screen, imports.apikeys, imports.logger);
+  var jobs = new Jobs(imports.cache, imports.screen, imports.channel, imports.apikeys, imports.logger, imports.broadcast, imports.cap);
   jobs.cacheCleanUp();
+  jobs.channelSchedules();
+  jobs.expireBroadcasts();
+  jobs.expireAlerts();
+  jobs.rebuildChannelIndex();
+  jobs.migrateHeartbeats();
 
   // Register the plugin with the system.
   register(null, {
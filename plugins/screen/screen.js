@@ -11,141 +11,1244 @@ module.exports = function (options, imports, register) {
   // Load promise library.
   var Q = require('q');
 
+  // Hash the screen settings.
+  var crypto = require('crypto');
+
   // HTTP request.
   var request = require('request-json');
 
-  var Screen = function Screen(apikey, id, activationCode) {
-    this.apikey = apikey;
-    this.id = id;
+  // Milliseconds to wait for a screen to acknowledge a channel push.
+  var ackTimeout = options.ackTimeout || 10000;
+
+  // Delivery status writes in progress, keyed by delivery key and screen id.
+  var deliveryWrites = {};
+
+  var Screen = function Screen(apikey, id, activationCode) {
+    this.apikey = apikey;
+    this.id = id;
+
+    this.key = 'screen:' + apikey + ':' + id;
+
+    this.title = undefined;
+    this.heartbeat = undefined;
+    this.options = undefined;
+    this.template = undefined;
+    this.activationCode = activationCode;
+
+    // Names of the groups the screen is in (e.g. "floor-2").
+    this.groups = [];
+
+    // Injections.
+    this.logger = imports.logger;
+    this.cache = imports.cache;
+    this.apikeys = imports.apikeys;
+    this.socket = imports.socket;
+  };
+
+  /**
+   * Get the key of the sorted set with the last heartbeat of each screen.
+   *
+   * @param apikey
+   *   The API key the screens belongs to.
+   *
+   * @returns {string}
+   */
+  function heartbeatKey(apikey) {
+    return 'heartbeat:' + apikey;
+  }
+
+  /**
+   * Get the key of the set with the ids of the screens in a group.
+   *
+   * The names of the groups under the API key are kept in the set
+   * "group:<apikey>".
+   *
+   * @param apikey
+   *   The API key the group belongs to.
+   * @param name
+   *   Name of the group.
+   *
+   * @returns {string}
+   */
+  function groupKey(apikey, name) {
+    return 'group:' + apikey + ':' + name;
+  }
+
+  /**
+   * Update the group members sets with the groups a screen joined and left.
+   *
+   * @param self
+   *   The screen object.
+   * @param added
+   *   Names of the groups joined.
+   * @param removed
+   *   Names of the groups left.
+   *
+   * @returns {*}
+   *   Promise that resolves when the sets have been updated.
+   */
+  function updateGroups(self, added, removed) {
+    var commands = [];
+    added.forEach(function (name) {
+      commands.push(['sadd', groupKey(self.apikey, name), self.id]);
+      commands.push(['sadd', 'group:' + self.apikey, name]);
+    });
+    removed.forEach(function (name) {
+      commands.push(['srem', groupKey(self.apikey, name), self.id]);
+    });
+
+    return commands.length ? self.cache.batch(commands) : Q.resolve([]);
+  }
+
+  /**
+   * Set screen properties from cached data.
+   *
+   * @param screen
+   *   The screen object.
+   * @param data
+   *   The data (JSON string) stored in the cache.
+   * @param heartbeat
+   *   The heartbeat score from the cache (null if the screen have no score).
+   */
+  function populate(screen, data, heartbeat) {
+    data = JSON.parse(data);
+    screen.title = data.title;
+    screen.options = data.options;
+    screen.template = data.template;
+    screen.activationCode = data.activationCode;
+    screen.groups = data.groups || [];
+
+    // Screens saved before heartbeats got their own storage have it in the
+    // data.
+    screen.heartbeat = heartbeat !== null ? Number(heartbeat) : data.heartbeat;
+  }
+
+  /**
+   * Get the batch commands that loads a screen.
+   *
+   * @param screen
+   *   The screen object.
+   *
+   * @returns {Array}
+   *   The commands to get the data and the heartbeat.
+   */
+  function loadCommands(screen) {
+    return [
+      ['get', screen.key],
+      ['zscore', heartbeatKey(screen.apikey), screen.id]
+    ];
+  }
+
+  /**
+   * Get the key of the hash with the events waiting for the screen to
+   * connect.
+   *
+   * @param apikey
+   *   The API key the screen belongs to.
+   * @param id
+   *   Id of the screen.
+   *
+   * @returns {string}
+   */
+  function queueKey(apikey, id) {
+    return 'queue:' + apikey + ':' + id;
+  }
+
+  /**
+   * Parse the events in a screen's queue.
+   *
+   * @param hash
+   *   The queue hash from the cache (or null).
+   *
+   * @returns {Array}
+   *   The events ordered as they were queued.
+   */
+  function parseQueue(hash) {
+    var events = [];
+    for (var field in hash) {
+      var entry = JSON.parse(hash[field]);
+      entry.field = field;
+      events.push(entry);
+    }
+
+    return events.sort(function (a, b) {
+      return a.seq - b.seq;
+    });
+  }
+
+  /**
+   * Get the key of the hash with the delivery status of a channel on each
+   * screen.
+   *
+   * @param apikey
+   *   The API key the channel belongs to.
+   * @param channelId
+   *   Id of the channel.
+   *
+   * @returns {string}
+   */
+  function deliveryKey(apikey, channelId) {
+    return 'delivery:' + apikey + ':' + channelId;
+  }
+
+  /**
+   * Get the key of the hash with the client information reported by the
+   * screens.
+   *
+   * @param apikey
+   *   The API key the screens belongs to.
+   *
+   * @returns {string}
+   */
+  function clientKey(apikey) {
+    return 'client:' + apikey;
+  }
+
+  /**
+   * Compare two dotted version numbers (e.g. "5.1.0").
+   *
+   * Parts that are not numbers are compared as 0, so "5.1.0-beta" equals
+   * "5.1.0".
+   *
+   * @param a
+   *   The first version.
+   * @param b
+   *   The second version.
+   *
+   * @returns {number}
+   *   Negative if a is lower than b, positive if higher and 0 if equal.
+   */
+  function compareVersions(a, b) {
+    var partsA = String(a).split('-')[0].split('.');
+    var partsB = String(b).split('-')[0].split('.');
+
+    for (var i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      var diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+      if (diff !== 0) {
+        return diff;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Get the key with the delivery status of the screen's latest settings.
+   *
+   * @param apikey
+   *   The API key the screen belongs to.
+   * @param id
+   *   Id of the screen.
+   *
+   * @returns {string}
+   */
+  function settingsKey(apikey, id) {
+    return 'screen:' + apikey + ':' + id + ':settings';
+  }
+
+  /**
+   * Calculate the version of a screen's settings.
+   *
+   * @param screen
+   *   The screen object.
+   *
+   * @returns {string}
+   *   Hash of the title, options and template.
+   */
+  function settingsVersion(screen) {
+    var content = JSON.stringify([screen.title, screen.options, screen.template]);
+    return crypto.createHash('sha1').update(content).digest('hex');
+  }
+
+  /**
+   * Record the delivery status of the screen's settings.
+   *
+   * @param self
+   *   The screen object.
+   * @param version
+   *   The settings version.
+   * @param status
+   *   "pending", "delivered", "failed" or "offline".
+   * @param sameVersion
+   *   Only update the status if it is recorded for the same version, so late
+   *   answers for old settings do not override the status of newer ones.
+   *
+   * @returns {*}
+   *   Promise that resolves when the status have been saved.
+   */
+  function setSettingsDelivery(self, version, status, sameVersion) {
+    var key = settingsKey(self.apikey, self.id);
+
+    return self.cache.get(key).then(function (current) {
+      if (sameVersion && current !== null && JSON.parse(current).version !== version) {
+        return;
+      }
+
+      return self.cache.set(key, JSON.stringify({
+        "version": version,
+        "status": status,
+        "time": Math.round((new Date()).getTime() / 1000)
+      }));
+    }).fail(function (err) {
+      self.logger.error('Screen: settings delivery status could not be saved for "' + self.key + '" (' + err.message + ').');
+    });
+  }
+
+  /**
+   * Get the last version of a channel the screen has acknowledged.
+   *
+   * @param record
+   *   The delivery record (null if the channel has not been pushed).
+   *
+   * @returns {*}
+   *   The version or undefined if no version have been acknowledged.
+   */
+  function lastDelivered(record) {
+    if (record === null) {
+      return undefined;
+    }
+
+    // Records saved before the delivered version was kept.
+    if (record.delivered === undefined && record.status === 'delivered') {
+      return record.version;
+    }
+
+    return record.delivered;
+  }
+
+  /**
+   * Record the delivery status of a channel version on the screen.
+   *
+   * The last version the screen acknowledged is kept in the record as
+   * "delivered", so deltas can be made from it.
+   *
+   * @param self
+   *   The screen object.
+   * @param channelId
+   *   Id of the channel.
+   * @param version
+   *   The channel version.
+   * @param status
+   *   "pending", "delivered", "failed" or "offline".
+   * @param sameVersion
+   *   Only update the status if it is recorded for the same version, so late
+   *   answers for an old version do not override the status of a newer one.
+   *
+   * @returns {*}
+   *   Promise that resolves when the status have been saved.
+   */
+  function setDelivery(self, channelId, version, status, sameVersion) {
+    var key = deliveryKey(self.apikey, channelId);
+    var id = key + ':' + self.id;
+
+    // The record is read before it's written, so writes for the same screen
+    // are done in order (e.g. a fast acknowledgement after "pending").
+    var promise = (deliveryWrites[id] || Q.resolve()).then(function () {
+      return self.cache.hashGet(key, self.id);
+    }).then(function (current) {
+      current = current !== null ? JSON.parse(current) : null;
+      if (sameVersion && current !== null && current.version !== version) {
+        return;
+      }
+
+      var record = {
+        "version": version,
+        "status": status,
+        "time": Math.round((new Date()).getTime() / 1000),
+        "delivered": status === 'delivered' ? version : lastDelivered(current)
+      };
+
+      return self.cache.hashSet(key, self.id, JSON.stringify(record));
+    }).fail(function (err) {
+      self.logger.error('Screen: delivery status of channel "' + channelId + '" could not be saved for "' + self.key + '" (' + err.message + ').');
+    }).fin(function () {
+      if (deliveryWrites[id] === promise) {
+        delete deliveryWrites[id];
+      }
+    });
+
+    deliveryWrites[id] = promise;
+
+    return promise;
+  }
+
+  /**
+   * Check if a screen advertised a capability when it connected.
+   *
+   * Capabilities are given as a comma separated list in the "capabilities"
+   * handshake query parameter (e.g. "delta").
+   *
+   * @param socket
+   *   The screen's socket connection.
+   * @param name
+   *   Name of the capability.
+   *
+   * @returns {boolean}
+   */
+  function hasCapability(socket, name) {
+    var capabilities = socket.handshake && socket.handshake.query ? socket.handshake.query.capabilities : undefined;
+
+    return typeof capabilities === 'string' && capabilities.split(',').indexOf(name) !== -1;
+  }
+
+  /**
+   * Send channel data to the screen and track the delivery.
+   *
+   * The screen is asked to acknowledge the push. If it do not within the
+   * timeout, the delivery is marked as failed.
+   *
+   * @param self
+   *   The screen object.
+   * @param socket
+   *   The screen's socket connection.
+   * @param data
+   *   The channel data with the regions to display it in.
+   * @param channelId
+   *   Id of the channel (if undefined the delivery is not tracked).
+   * @param version
+   *   The channel version.
+   */
+  function emitPush(self, socket, data, channelId, version) {
+    if (channelId === undefined) {
+      socket.emit('channelPush', data);
+      return;
+    }
+
+    // Screens that accept deltas need to know the channel and version they
+    // have.
+    if (hasCapability(socket, 'delta')) {
+      var payload = {};
+      for (var field in data) {
+        payload[field] = data[field];
+      }
+      payload.id = channelId;
+      payload.version = version;
+      data = payload;
+    }
+
+    setDelivery(self, channelId, version, 'pending');
+
+    var timer = setTimeout(function () {
+      timer = undefined;
+      self.logger.info('Screen: "' + self.key + '" did not acknowledge channel "' + channelId + '" within ' + ackTimeout + ' ms.');
+      setDelivery(self, channelId, version, 'failed', true);
+    }, ackTimeout);
+
+    socket.emit('channelPush', data, function () {
+      if (timer !== undefined) {
+        clearTimeout(timer);
+      }
+      setDelivery(self, channelId, version, 'delivered', true);
+    });
+  }
+
+  /**
+   * Send the changes since a version the screen has and track the delivery.
+   *
+   * The screen applies the JSON Patch operations to the channel data (with
+   * regions) of the "from" version. If it do not have that version it
+   * answers with status code 409 and the full data is pushed instead.
+   *
+   * @param self
+   *   The screen object.
+   * @param socket
+   *   The screen's socket connection.
+   * @param data
+   *   The channel data with the regions to display it in.
+   * @param channelId
+   *   Id of the channel.
+   * @param version
+   *   The channel version.
+   * @param from
+   *   The version the changes are from.
+   * @param patch
+   *   The JSON Patch operations.
+   */
+  function emitDelta(self, socket, data, channelId, version, from, patch) {
+    setDelivery(self, channelId, version, 'pending');
+
+    var timer = setTimeout(function () {
+      timer = undefined;
+      self.logger.info('Screen: "' + self.key + '" did not acknowledge delta of channel "' + channelId + '" within ' + ackTimeout + ' ms.');
+      setDelivery(self, channelId, version, 'failed', true);
+    }, ackTimeout);
+
+    socket.emit('channelDelta', {
+      "id": channelId,
+      "from": from,
+      "version": version,
+      "patch": patch
+    }, function (response) {
+      if (timer !== undefined) {
+        clearTimeout(timer);
+      }
+
+      if (response && response.statusCode === 409) {
+        self.logger.info('Screen: "' + self.key + '" do not have version "' + from + '" of channel "' + channelId + '", pushing it in full.');
+        emitPush(self, socket, data, channelId, version);
+      }
+      else {
+        setDelivery(self, channelId, version, 'delivered', true);
+      }
+    });
+  }
+
+  /**
+   * Send channel data to the screen as a delta if possible.
+   *
+   * A delta is sent if the screen has acknowledged an earlier version of the
+   * channel and the delta is smaller than the data, else the full data is
+   * pushed.
+   *
+   * @param self
+   *   The screen object.
+   * @param socket
+   *   The screen's socket connection.
+   * @param data
+   *   The channel data with the regions to display it in.
+   * @param channelId
+   *   Id of the channel.
+   * @param version
+   *   The channel version.
+   * @param delta
+   *   Function that given an earlier version returns a promise that resolves
+   *   with the JSON Patch operations from it to the data (null if unknown).
+   *
+   * @returns {*}
+   *   Promise that resolves when the data have been sent.
+   */
+  function pushDelta(self, socket, data, channelId, version, delta) {
+    return self.cache.hashGet(deliveryKey(self.apikey, channelId), self.id).then(function (record) {
+      var from = lastDelivered(record !== null ? JSON.parse(record) : null);
+      if (from === undefined || from === version) {
+        return null;
+      }
+
+      return delta(from).then(function (patch) {
+        if (patch === null || JSON.stringify(patch).length >= JSON.stringify(data).length) {
+          return null;
+        }
+
+        return {
+          "from": from,
+          "patch": patch
+        };
+      });
+    }).then(
+      function (result) {
+        if (result === null) {
+          emitPush(self, socket, data, channelId, version);
+        }
+        else {
+          emitDelta(self, socket, data, channelId, version, result.from, result.patch);
+        }
+      },
+      function (error) {
+        self.logger.error('Screen: delta of channel "' + channelId + '" could not be made for "' + self.key + '" (' + error.message + ').');
+        emitPush(self, socket, data, channelId, version);
+      }
+    );
+  }
+
+  /**
+   * Queue an event for a screen that is not connected.
+   *
+   * The queue only holds the latest event for each field, so only the latest
+   * state of a channel is delivered.
+   *
+   * @param self
+   *   The screen object.
+   * @param field
+   *   The queue field (e.g. "channel:1" or "reload").
+   * @param event
+   *   The event name.
+   * @param data
+   *   The event data.
+   * @param channelId
+   *   (Optional) Id of the channel the event is about.
+   * @param version
+   *   (Optional) The channel version.
+   *
+   * @returns {*}
+   *   Promise that resolves when the event have been queued.
+   */
+  function enqueue(self, field, event, data, channelId, version) {
+    // The sequence number keeps the events in order.
+    return self.cache.increment('queue:seq').then(function (seq) {
+      var entry = {
+        "seq": seq,
+        "time": Math.round((new Date()).getTime() / 1000),
+        "event": event,
+        "data": data,
+        "channel": channelId,
+        "version": version
+      };
+
+      return self.cache.hashSet(queueKey(self.apikey, self.id), field, JSON.stringify(entry));
+    }).fail(function (err) {
+      self.logger.error('Screen: event "' + event + '" could not be queued for "' + self.key + '".');
+      throw err;
+    });
+  }
+
+  /**
+   * Load screen information from the backend.
+   *
+   * @param self
+   *   The screen object.
+   *
+   * @returns {*}
+   *   Promise that resolves with the screen object.
+   */
+  function loadFromBackend(self) {
+    var deferred = Q.defer();
+
+    /**
+     * @TODO: Is this still needed, we don't remove a screen from redis on
+     * less request by the backend.
+     */
+    // Ignore self signed certificate.
+    process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
+
+    self.apikeys.get(self.apikey).then(
+      function (info) {
+        // Call backend to get screen information.
+        var client = request.createClient(info.backend);
+        client.post('api/screen/get', { "id": self.id }, function(error, response, body) {
+          if (!error) {
+            if (response.statusCode === 200) {
+              self.title = body.title;
+              self.options = body.options;
+              self.template = body.template;
+
+              // Notify that the screen have been loaded.
+              deferred.resolve(self);
+            }
+            else {
+              // Error getting screen from backend.
+              deferred.reject(new Error('Backend send code: ' + response.statusCode + ' for screen id: ' + self.id));
+            }
+          }
+          else {
+            // Error getting screen from backend.
+            deferred.reject(error);
+          }
+        });
+      },
+      function (error) {
+        // API key problems.
+        deferred.reject(error);
+      }
+    );
+
+    return deferred.promise;
+  }
+
+  /**
+   * Load screen.
+   *
+   * @returns {*}
+   *   Promise that the data will be saved.
+   */
+  Screen.prototype.load = function load() {
+    var self = this;
+
+    return self.cache.batch(loadCommands(self)).then(
+      function (res) {
+        for (var i = 0; i < res.length; i++) {
+          if (res[i] instanceof Error) {
+            throw res[i];
+          }
+        }
+
+        if (res[0] !== null) {
+          populate(self, res[0], res[1]);
+
+          // Notify that the screen have been loaded.
+          return self;
+        }
+
+        return loadFromBackend(self);
+      },
+      function (err) {
+        self.logger.error('Screen: cache encountered an error in load.');
+        throw err;
+      }
+    );
+  };
+
+  /**
+   * Load multiple screens in one round trip to the cache.
+   *
+   * Screens not found in the cache are loaded from the backend.
+   *
+   * @param apikey
+   *   The API key the screens belongs to.
+   * @param ids
+   *   Array with the ids of the screens to load.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of screen objects. Screens that
+   *   could not be loaded are left out.
+   */
+  Screen.loadMultiple = function loadMultiple(apikey, ids) {
+    var screens = ids.map(function (id) {
+      return new Screen(apikey, id);
+    });
+
+    var commands = [];
+    screens.forEach(function (screen) {
+      commands = commands.concat(loadCommands(screen));
+    });
+
+    return imports.cache.batch(commands).then(
+      function (values) {
+        return Q.allSettled(screens.map(function (screen, index) {
+          var data = values[index * 2];
+          var heartbeat = values[index * 2 + 1];
+          if (data instanceof Error || heartbeat instanceof Error) {
+            return Q.reject(data instanceof Error ? data : heartbeat);
+          }
+
+          if (data !== null) {
+            populate(screen, data, heartbeat);
+            return screen;
+          }
+
+          return loadFromBackend(screen);
+        }));
+      },
+      function (err) {
+        imports.logger.error('Screen: cache encountered an error in load multiple.');
+        throw err;
+      }
+    ).then(function (results) {
+      var screens = [];
+      for (var i = 0; i < results.length; i++) {
+        if (results[i].state === 'fulfilled') {
+          screens.push(results[i].value);
+        }
+        else {
+          imports.logger.error('Screen: load failed "' + results[i].reason.message + '"');
+        }
+      }
+
+      return screens;
+    });
+  };
+
+  /**
+   * Load all screens under an API key.
+   *
+   * @param apikey
+   *   The API key to load screens for.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of screen objects.
+   */
+  Screen.loadAll = function loadAll(apikey) {
+    return imports.cache.membersOfSet('screen:' + apikey).then(function (ids) {
+      return Screen.loadMultiple(apikey, ids);
+    });
+  };
+
+  /**
+   * Check if a string can be used as group name.
+   *
+   * @param name
+   *   The name.
+   *
+   * @returns {boolean}
+   */
+  Screen.isGroupName = function isGroupName(name) {
+    return typeof name === 'string' && /^[A-Za-z0-9_-]+$/.test(name);
+  };
+
+  /**
+   * Get the ids of the screens in a group.
+   *
+   * @param apikey
+   *   The API key the group belongs to.
+   * @param name
+   *   Name of the group.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of screen ids.
+   */
+  Screen.groupMembers = function groupMembers(apikey, name) {
+    return imports.cache.membersOfSet(groupKey(apikey, name));
+  };
+
+  /**
+   * Load the screens in a group.
+   *
+   * @param apikey
+   *   The API key the group belongs to.
+   * @param name
+   *   Name of the group.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of screen objects.
+   */
+  Screen.loadGroup = function loadGroup(apikey, name) {
+    return Screen.groupMembers(apikey, name).then(function (ids) {
+      return Screen.loadMultiple(apikey, ids);
+    });
+  };
+
+  /**
+   * Get the groups under an API key.
+   *
+   * Groups without screens are removed from the list of groups.
+   *
+   * @param apikey
+   *   The API key to get groups for.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of objects with the group "name"
+   *   and the ids of its "screens".
+   */
+  Screen.groups = function groups(apikey) {
+    return imports.cache.membersOfSet('group:' + apikey).then(function (names) {
+      return Q.all(names.map(function (name) {
+        return Screen.groupMembers(apikey, name);
+      })).then(function (members) {
+        var result = [];
+        names.forEach(function (name, index) {
+          if (members[index].length) {
+            result.push({
+              "name": name,
+              "screens": members[index]
+            });
+          }
+          else {
+            imports.cache.removeSet('group:' + apikey, name).fail(function () {
+              imports.logger.error('Screen: cache encountered an error in del group name.');
+            });
+          }
+        });
+
+        return result.sort(function (a, b) {
+          return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+        });
+      });
+    });
+  };
+
+  /**
+   * Get the queued events of all screens under an API key.
+   *
+   * @param apikey
+   *   The API key to get queues for.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of objects with the screen "id" and
+   *   its queued "events" (screens without events are left out).
+   */
+  Screen.queues = function queues(apikey) {
+    return imports.cache.membersOfSet('screen:' + apikey).then(function (ids) {
+      return imports.cache.batch(ids.map(function (id) {
+        return ['hgetall', queueKey(apikey, id)];
+      })).then(function (hashes) {
+        var result = [];
+        for (var i = 0; i < ids.length; i++) {
+          if (hashes[i] instanceof Error) {
+            throw hashes[i];
+          }
+          if (hashes[i] !== null) {
+            result.push({
+              "id": ids[i],
+              "events": parseQueue(hashes[i])
+            });
+          }
+        }
+
+        return result;
+      });
+    });
+  };
+
+  /**
+   * Get the delivery status of a channel on the screens.
+   *
+   * @param apikey
+   *   The API key the channel belongs to.
+   * @param channelId
+   *   Id of the channel.
+   *
+   * @returns {*}
+   *   Promise that resolves with an object keyed by screen id with the
+   *   "version", "status" and "time" of the latest delivery.
+   */
+  Screen.deliveries = function deliveries(apikey, channelId) {
+    return imports.cache.hashGetAll(deliveryKey(apikey, channelId)).then(function (hash) {
+      var result = {};
+      for (var id in hash) {
+        result[id] = JSON.parse(hash[id]);
+      }
+
+      return result;
+    });
+  };
+
+  /**
+   * Remove the delivery status of a channel.
+   *
+   * @param apikey
+   *   The API key the channel belongs to.
+   * @param channelId
+   *   Id of the channel.
+   *
+   * @returns {*}
+   *   Promise that resolves when the status have been removed.
+   */
+  Screen.removeDeliveries = function removeDeliveries(apikey, channelId) {
+    return imports.cache.remove(deliveryKey(apikey, channelId));
+  };
+
+  /**
+   * Get the last heartbeat of screens under an API key.
+   *
+   * @param apikey
+   *   The API key to get heartbeats for.
+   * @param from
+   *   (Optional) Only include heartbeats at or after this unix timestamp.
+   * @param to
+   *   (Optional) Only include heartbeats before this unix timestamp.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of objects with the screen "id" and
+   *   "heartbeat" ordered by heartbeat (oldest first).
+   */
+  Screen.heartbeats = function heartbeats(apikey, from, to) {
+    var min = from === undefined ? '-inf' : from;
+    var max = to === undefined ? '+inf' : '(' + to;
 
-    this.key = 'screen:' + apikey + ':' + id;
+    return imports.cache.sortedSetRangeByScore(heartbeatKey(apikey), min, max).then(function (res) {
+      var beats = [];
+      for (var i = 0; i + 1 < res.length; i += 2) {
+        beats.push({
+          "id": res[i],
+          "heartbeat": Number(res[i + 1])
+        });
+      }
 
-    this.title = undefined;
-    this.heartbeat = undefined;
-    this.options = undefined;
-    this.template = undefined;
-    this.activationCode = activationCode;
+      return beats;
+    });
+  };
 
-    // Injections.
-    this.logger = imports.logger;
-    this.cache = imports.cache;
-    this.apikeys = imports.apikeys;
-    this.socket = imports.socket;
+  /**
+   * Get the client information reported by the screens under an API key.
+   *
+   * @param apikey
+   *   The API key the screens belongs to.
+   *
+   * @returns {*}
+   *   Promise that resolves with an object keyed by screen id with the
+   *   client information (see saveClient()).
+   */
+  Screen.clients = function clients(apikey) {
+    return imports.cache.hashGetAll(clientKey(apikey)).then(function (hash) {
+      var result = {};
+      for (var id in hash) {
+        result[id] = JSON.parse(hash[id]);
+      }
+
+      return result;
+    });
   };
 
   /**
-   * Load screen.
+   * Find the screens running a player older than a given version.
+   *
+   * @param apikey
+   *   The API key the screens belongs to.
+   * @param version
+   *   The lowest version that is up to date.
    *
    * @returns {*}
-   *   Promise that the data will be saved.
+   *   Promise that resolves with an object with the "outdated" screens (id
+   *   and client information) and the ids of the screens that have not
+   *   reported a version ("unknown").
    */
-  Screen.prototype.load = function load() {
+  Screen.outdated = function outdated(apikey, version) {
+    return Q.all([
+      imports.cache.membersOfSet('screen:' + apikey),
+      Screen.clients(apikey)
+    ]).spread(function (ids, clients) {
+      var result = {
+        "outdated": [],
+        "unknown": []
+      };
+
+      ids.forEach(function (id) {
+        var client = clients[id];
+        if (!client || !client.version) {
+          result.unknown.push(id);
+        }
+        else if (compareVersions(client.version, version) < 0) {
+          result.outdated.push({
+            "id": id,
+            "client": client
+          });
+        }
+      });
+
+      return result;
+    });
+  };
+
+  /**
+   * Load screens that have not send a heartbeat since a given time.
+   *
+   * Screens that have never send a heartbeat are not included.
+   *
+   * @param apikey
+   *   The API key to load screens for.
+   * @param time
+   *   Unix timestamp.
+   *
+   * @returns {*}
+   *   Promise that resolves with an array of screen objects.
+   */
+  Screen.loadNotSeenSince = function loadNotSeenSince(apikey, time) {
+    return Screen.heartbeats(apikey, undefined, time).then(function (beats) {
+      return Screen.loadMultiple(apikey, beats.map(function (beat) {
+        return beat.id;
+      }));
+    });
+  };
+
+  /**
+   * Move heartbeats stored in the screen data to the heartbeat storage.
+   *
+   * Used for screens saved before heartbeats got their own storage.
+   *
+   * @param apikey
+   *   The API key to move heartbeats for.
+   *
+   * @returns {*}
+   *   Promise that resolves with the number of heartbeats moved.
+   */
+  Screen.migrateHeartbeats = function migrateHeartbeats(apikey) {
+    return Q.all([
+      imports.cache.membersOfSet('screen:' + apikey),
+      Screen.heartbeats(apikey)
+    ]).spread(function (ids, beats) {
+      var known = beats.map(function (beat) {
+        return beat.id;
+      });
+
+      return Screen.loadMultiple(apikey, ids.filter(function (id) {
+        return known.indexOf(id) === -1;
+      }));
+    }).then(function (screens) {
+      screens = screens.filter(function (screen) {
+        return screen.heartbeat !== undefined;
+      });
+
+      return Q.all(screens.map(function (screen) {
+        return screen.saveHeartbeat(screen.heartbeat);
+      })).then(function () {
+        return screens.length;
+      });
+    });
+  };
+
+  /**
+   * Save the client information reported by the screen when it connects.
+   *
+   * Only known fields are kept and strings are cut at 255 characters.
+   *
+   * @param info
+   *   Object with the player "version", "userAgent", "resolution" (e.g.
+   *   "1920x1080"), "ip", "timezone" and "uptime" (seconds).
+   *
+   * @returns {*}
+   *   Promise that resolves with the information saved.
+   */
+  Screen.prototype.saveClient = function saveClient(info) {
     var self = this;
+    var client = {
+      "time": Math.round((new Date()).getTime() / 1000)
+    };
 
-    var deferred = Q.defer();
+    ['version', 'userAgent', 'resolution', 'ip', 'timezone'].forEach(function (field) {
+      if (info[field] !== undefined && info[field] !== null) {
+        client[field] = String(info[field]).substr(0, 255);
+      }
+    });
+    if (isFinite(info.uptime) && info.uptime !== null) {
+      client.uptime = Math.round(Number(info.uptime));
+    }
 
-    self.cache.get(self.key, function(err, res) {
-      if (err) {
-        self.logger.error('Screen: cache encountered an error in load.');
-        deferred.reject(err);
+    return self.cache.hashSet(clientKey(self.apikey), self.id, JSON.stringify(client)).then(
+      function () {
+        return client;
+      },
+      function (err) {
+        self.logger.error('Screen: cache encountered an error in save client.');
+        throw err;
       }
-      else {
-        if (res !== null) {
-          var data = JSON.parse(res);
-          self.title = data.title;
-          self.heartbeat = data.heartbeat;
-          self.options = data.options;
-          self.template = data.template;
-          self.activationCode = data.activationCode;
+    );
+  };
 
-          // Notify that the screen have been loaded.
-          deferred.resolve(self);
+  /**
+   * Save the time the screen was last seen.
+   *
+   * @param time
+   *   (Optional) Unix timestamp. Defaults to now.
+   *
+   * @returns {*}
+   *   Promise that the heartbeat will be saved.
+   */
+  Screen.prototype.saveHeartbeat = function saveHeartbeat(time) {
+    var self = this;
+
+    self.heartbeat = time !== undefined ? time : Math.round((new Date()).getTime() / 1000);
+
+    return self.cache.sortedSetAdd(heartbeatKey(self.apikey), self.heartbeat, self.id).then(
+      function () {},
+      function (err) {
+        self.logger.error('Screen: cache encountered an error in save heartbeat.');
+        throw err;
+      }
+    );
+  };
+
+  /**
+   * Get the events waiting for the screen to connect.
+   *
+   * @returns {*}
+   *   Promise that resolves with the events ordered as they were queued.
+   */
+  Screen.prototype.queued = function queued() {
+    return this.cache.hashGetAll(queueKey(this.apikey, this.id)).then(parseQueue);
+  };
+
+  /**
+   * Send the queued events to the screen and empty the queue.
+   *
+   * @param socket
+   *   The screen's socket connection.
+   *
+   * @returns {*}
+   *   Promise that resolves with the ids of the channels that events were
+   *   sent for.
+   */
+  Screen.prototype.deliverQueue = function deliverQueue(socket) {
+    var self = this;
+    var key = queueKey(self.apikey, self.id);
+
+    // Read and empty the queue in one step, so events queued by other nodes
+    // in the mean time are not removed without being sent.
+    return self.cache.transaction([['hgetall', key], ['del', key]]).then(function (results) {
+      if (results[0] instanceof Error) {
+        throw results[0];
+      }
+
+      var events = parseQueue(results[0]);
+      if (!events.length) {
+        return [];
+      }
+
+      var channels = [];
+      for (var i = 0; i < events.length; i++) {
+        if (events[i].event === 'channelPush') {
+          emitPush(self, socket, events[i].data, events[i].channel, events[i].version);
+        }
+        else if (events[i].data !== undefined) {
+          socket.emit(events[i].event, events[i].data);
         }
         else {
-          /**
-           * @TODO: Is this still needed, we don't remove a screen from redis on
-           * less request by the backend.
-           */
-          // Ignore self signed certificate.
-          process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
-
-          self.apikeys.get(self.apikey).then(
-            function (info) {
-              // Call backend to get screen information.
-              var client = request.createClient(info.backend);
-              client.post('api/screen/get', { "id": self.id }, function(error, response, body) {
-                if (!error) {
-                  if (response.statusCode === 200) {
-                    self.title = body.title;
-                    self.options = body.options;
-                    self.template = body.template;
-
-                    // Notify that the screen have been loaded.
-                    deferred.resolve(self);
-                  }
-                  else {
-                    // Error getting screen from backend.
-                    deferred.reject(new Error('Backend send code: ' + response.statusCode + ' for screen id: ' + self.id));
-                  }
-                }
-                else {
-                  // Error getting screen from backend.
-                  deferred.reject(error);
-                }
-              });
-            },
-            function (error) {
-              // API key problems.
-              deferred.reject(error);
-            }
-          );
+          socket.emit(events[i].event);
+        }
+
+        if (events[i].channel !== undefined) {
+          channels.push(events[i].channel);
         }
       }
-    });
 
-    return deferred.promise;
+      self.logger.info('Screen: delivered ' + events.length + ' queued events to "' + self.key + '".');
+
+      return channels;
+    });
   };
 
   /**
    * Save screen to cache.
    *
+   * The heartbeat is saved separately (see saveHeartbeat()).
+   *
    * @returns {*}
    *   Promise that the data will be saved.
    */
   Screen.prototype.save = function save() {
     var self = this;
 
-    var deferred = Q.defer();
-
     // Information to store in redis.
     var data = {
       "title": self.title,
-      "heartbeat": self.heartbeat,
       "options": self.options,
       "template": self.template,
-      "activationCode": self.activationCode
+      "activationCode": self.activationCode,
+      "groups": self.groups
     };
 
-    imports.cache.set(self.key, JSON.stringify(data), function(err, res) {
-      if (err) {
-        self.logger.error('Screen: cache encountered an error in save.');
-        deferred.reject(err);
-      }
-      else {
+    return self.cache.set(self.key, JSON.stringify(data)).then(
+      function () {
         // Add screen id, so screens can be searched.
-        self.cache.addSet('screen:' + self.apikey, self.id, function(err, res) {
-          if (err) {
-            self.logger.error('Channel: cache encountered an error in save set.');
-            deferred.reject(err);
+        return self.cache.addSet('screen:' + self.apikey, self.id).then(
+          function () {},
+          function (err) {
+            self.logger.error('Screen: cache encountered an error in save set.');
+            throw err;
           }
-          else {
-            deferred.resolve();
-          }
-        });
+        );
+      },
+      function (err) {
+        self.logger.error('Screen: cache encountered an error in save.');
+        throw err;
       }
+    );
+  };
+
+  /**
+   * Set the groups of the screen and save it.
+   *
+   * @param groups
+   *   Names of the groups the screen is in.
+   *
+   * @returns {*}
+   *   Promise that resolves with an object with the names of the groups
+   *   "added" and "removed".
+   */
+  Screen.prototype.setGroups = function setGroups(groups) {
+    var self = this;
+    var previous = self.groups || [];
+    var changes = {};
+
+    self.groups = groups.map(String).filter(function (name, index, list) {
+      return list.indexOf(name) === index;
+    });
+    changes.added = self.groups.filter(function (name) {
+      return previous.indexOf(name) === -1;
+    });
+    changes.removed = previous.filter(function (name) {
+      return self.groups.indexOf(name) === -1;
     });
 
-    return deferred.promise;
+    return self.save().then(function () {
+      return updateGroups(self, changes.added, changes.removed);
+    }).then(
+      function () {
+        return changes;
+      },
+      function (err) {
+        self.logger.error('Screen: cache encountered an error in save groups.');
+        throw err;
+      }
+    );
   };
 
   /**
@@ -156,107 +1259,373 @@ module.exports = function (options, imports, register) {
    */
   Screen.prototype.remove = function remove() {
     var self = this;
+    var groups = [];
 
-    var deferred = Q.defer();
+    // The groups are read from the cache, as the screen may not have been
+    // loaded.
+    return self.cache.get(self.key).then(function (res) {
+      if (res !== null) {
+        groups = JSON.parse(res).groups || [];
+      }
 
-    self.cache.remove(self.key, function(err, res) {
-      if (err) {
+      return self.cache.remove(self.key);
+    }).then(
+      function () {
+        return Q.all([
+          self.cache.removeSet('screen:' + self.apikey, self.id),
+          self.cache.sortedSetRemove(heartbeatKey(self.apikey), self.id),
+          self.cache.remove(queueKey(self.apikey, self.id)),
+          self.cache.remove(settingsKey(self.apikey, self.id)),
+          self.cache.hashRemove(clientKey(self.apikey), self.id),
+          imports.clientlog.remove(self.apikey, self.id),
+          imports.screenshot.remove(self.apikey, self.id),
+          updateGroups(self, [], groups)
+        ]).then(
+          function () {},
+          function () {
+            // We do send the booted event even if the above error is logged
+            // as the screen have be removed.
+            self.logger.error('Screen: cache encountered an error in del screen set, heartbeat, queue, settings, client, logs, screenshots or groups.');
+          }
+        );
+      },
+      function (err) {
         self.logger.error('Screen: cache encountered an error in remove.');
-        deferred.reject(err);
+        throw err;
       }
-      else {
-        self.cache.removeSet('screen:' + self.apikey, self.id, function (err, res) {
-          if (err) {
-            self.logger.error('Screen: cache encountered an error in del screen set.');
-          }
-
-          // We do send the booted event even if the above error is logged as
-          // the screen have be removed.
-          var socket = self.socket.get(self.apikey, self.id);
+    ).then(function () {
+      self.socket.get(self.apikey, self.id).then(
+        function (socket) {
           if (socket) {
             socket.emit('booted', {"statusCode": 404});
             socket.disconnect();
           }
+        },
+        function (error) {
+          self.logger.error('Screen: socket lookup failed in remove "' + error.message + '"');
+        }
+      );
+
+      // Remove activation record.
+      if (self.activationCode !== undefined) {
+        self.cache.hashRemove('activation:' + self.apikey, self.activationCode).fail(function () {
+          self.logger.error('Screen: Activation code hash could not be removed.');
+        });
+      }
+    });
+  };
+
+  /**
+   * Push data to the screen.
+   *
+   * The screen may be connected to any node (middleware instance). If it is
+   * not connected the data is queued and sent when it connects.
+   *
+   * @param data
+   *   The channel data with the regions to display it in.
+   * @param channelId
+   *   Id of the channel (used to queue only the latest data of the channel and
+   *   track the delivery).
+   * @param version
+   *   The channel version.
+   * @param delta
+   *   (Optional) Function that given an earlier version returns a promise
+   *   that resolves with the JSON Patch operations from it to the data (null
+   *   if unknown). Used for screens that accept deltas.
+   *
+   * @returns {*}
+   *   Promise that resolves with true if the data was sent else false.
+   */
+  Screen.prototype.push = function push(data, channelId, version, delta) {
+    var self = this;
 
-          // Remove activation record.
-          if (self.activationCode !== undefined) {
-            self.cache.hashRemove('activation:' + self.apikey, self.activationCode, function(error, res) {
-              if (error) {
-                imports.logger.error('Screen: Activation code hash could not be removed.');
-              }
+    // Check that screen is connected.
+    return self.socket.get(self.apikey, self.id).then(
+      function (socket) {
+        if (socket) {
+          if (delta !== undefined && channelId !== undefined && hasCapability(socket, 'delta')) {
+            return pushDelta(self, socket, data, channelId, version, delta).then(function () {
+              return true;
             });
           }
 
-          // Notify that the screen have been removed.
-          deferred.resolve();
+          // Send channel/content to the screen.
+          emitPush(self, socket, data, channelId, version);
+          return true;
+        }
+
+        if (channelId === undefined) {
+          self.logger.info('Screen: channel could not be pushed to "' + self.key + '" as it is not connected.');
+          return false;
+        }
+
+        self.logger.info('Screen: channel "' + channelId + '" queued for "' + self.key + '" as it is not connected.');
+        setDelivery(self, channelId, version, 'offline');
+        return enqueue(self, 'channel:' + channelId, 'channelPush', data, channelId, version).then(function () {
+          return false;
         });
+      },
+      function (error) {
+        self.logger.error('Screen: socket lookup failed in push "' + error.message + '"');
+        return false;
       }
+    ).fail(function () {
+      return false;
     });
+  };
 
-    return deferred.promise;
+  /**
+   * Send the screen's settings to the screen, so changes take effect without
+   * a reload.
+   *
+   * The screen is asked to acknowledge the "screenUpdated" event. Screens
+   * that are not connected get the settings when they connect (in "ready").
+   *
+   * @returns {*}
+   *   Promise that resolves with true if the settings was sent else false.
+   */
+  Screen.prototype.sendSettings = function sendSettings() {
+    var self = this;
+    var version = settingsVersion(self);
+
+    return self.socket.get(self.apikey, self.id).then(
+      function (socket) {
+        if (!socket) {
+          self.logger.info('Screen: settings could not be sent to "' + self.key + '" as it is not connected.');
+          return setSettingsDelivery(self, version, 'offline').then(function () {
+            return false;
+          });
+        }
+
+        // The pending status is saved first, so a fast answer is not
+        // overridden.
+        return setSettingsDelivery(self, version, 'pending').then(function () {
+          var timer = setTimeout(function () {
+            timer = undefined;
+            self.logger.info('Screen: "' + self.key + '" did not acknowledge settings within ' + ackTimeout + ' ms.');
+            setSettingsDelivery(self, version, 'failed', true);
+          }, ackTimeout);
+
+          socket.emit('screenUpdated', {
+            "id": self.id,
+            "title": self.title,
+            "options": self.options,
+            "template": self.template,
+            "version": version
+          }, function () {
+            if (timer !== undefined) {
+              clearTimeout(timer);
+            }
+            setSettingsDelivery(self, version, 'delivered', true);
+          });
+
+          return true;
+        });
+      },
+      function (error) {
+        self.logger.error('Screen: socket lookup failed in send settings "' + error.message + '"');
+        return false;
+      }
+    );
   };
 
   /**
-   * Push data to the screen.
+   * Mark the screen's current settings as delivered.
    *
-   * @param data
+   * Used when the settings have been sent with the "ready" event. Nothing is
+   * recorded for screens that have not had their settings updated.
+   *
+   * @returns {*}
+   *   Promise that resolves when the status have been saved.
    */
-  Screen.prototype.push = function push(data) {
+  Screen.prototype.settingsDelivered = function settingsDelivered() {
     var self = this;
 
-    // Check that screen is connected.
-    var socket = self.socket.get(self.apikey, self.id);
-    if (socket) {
-      // Send channel/content to the screen.
-      socket.emit('channelPush', data);
-    }
-    else {
-      self.logger.info('Screen: channel could not be pushed to "' + self.key + '" as it is not connected.');
-    }
+    return self.cache.get(settingsKey(self.apikey, self.id)).then(function (current) {
+      if (current === null || JSON.parse(current).status === 'delivered') {
+        return;
+      }
+
+      return setSettingsDelivery(self, settingsVersion(self), 'delivered');
+    });
+  };
+
+  /**
+   * Get the delivery status of the screen's latest settings.
+   *
+   * @returns {*}
+   *   Promise that resolves with the "version", "status" and "time" or null
+   *   if the settings have not been updated.
+   */
+  Screen.prototype.settingsStatus = function settingsStatus() {
+    return this.cache.get(settingsKey(this.apikey, this.id)).then(function (current) {
+      return current !== null ? JSON.parse(current) : null;
+    });
+  };
+
+  /**
+   * Send a media manifest to the screen, so it can fetch the media before
+   * the content is displayed.
+   *
+   * The manifest is only a hint, so it is not queued for screens that are not
+   * connected.
+   *
+   * @param manifest
+   *   The manifest with the "channel" id, "version" and media urls
+   *   ("assets").
+   *
+   * @returns {*}
+   *   Promise that resolves with true if the manifest was sent else false.
+   */
+  Screen.prototype.prefetch = function prefetch(manifest) {
+    var self = this;
+
+    return self.socket.get(self.apikey, self.id).then(
+      function (socket) {
+        if (!socket) {
+          return false;
+        }
+
+        socket.emit('prefetch', manifest);
+        return true;
+      },
+      function (error) {
+        self.logger.error('Screen: socket lookup failed in prefetch "' + error.message + '"');
+        return false;
+      }
+    );
   };
 
   /**
    * Send channel removed event to the screen.
    *
+   * If the screen is not connected the event is queued and replaces queued
+   * data for the channel.
+   *
    * @param channelId
    *   Id of the channel to remove.
+   *
+   * @returns {*}
+   *   Promise that resolves with true if the event was sent else false.
    */
   Screen.prototype.removeChannel = function removeChannel(channelId) {
     var self = this;
 
     // Check that screen is connected.
-    var socket = self.socket.get(self.apikey, self.id);
-    if (socket) {
-      // Send channel/content to the screen.
-      socket.emit('channelRemoved', { "id": channelId });
-    }
-    else {
-      self.logger.info('Screen: channel could not be removed from "' + self.key + '" as it is not connected.');
-    }
+    return self.socket.get(self.apikey, self.id).then(
+      function (socket) {
+        if (socket) {
+          // Send channel/content to the screen.
+          socket.emit('channelRemoved', { "id": channelId });
+          return true;
+        }
+
+        self.logger.info('Screen: channel "' + channelId + '" removal queued for "' + self.key + '" as it is not connected.');
+        return enqueue(self, 'channel:' + channelId, 'channelRemoved', { "id": channelId }, channelId).then(function () {
+          return false;
+        });
+      },
+      function (error) {
+        self.logger.error('Screen: socket lookup failed in remove channel "' + error.message + '"');
+        return false;
+      }
+    ).fail(function () {
+      return false;
+    });
   };
 
   /**
    * Send reload command to the screen.
    *
-   * @returns {boolean}
-   *   True if reload event is sent else false.
+   * If the screen is not connected the command is queued.
+   *
+   * @returns {*}
+   *   Promise that resolves with true if reload event is sent else false.
    */
   Screen.prototype.reload = function reload() {
     var self = this;
 
     // Check that screen is connected.
-    var socket = self.socket.get(self.apikey, self.id);
-    if (socket) {
-      // Send reload command to the screen.
-      socket.emit('reload');
+    return self.socket.get(self.apikey, self.id).then(
+      function (socket) {
+        if (socket) {
+          // Send reload command to the screen.
+          socket.emit('reload');
 
-      return true;
-    }
-    else {
-      self.logger.info('Screen: could not reload "' + self.key + '" as it is not connected.');
-    }
+          return true;
+        }
+
+        self.logger.info('Screen: reload queued for "' + self.key + '" as it is not connected.');
+        return enqueue(self, 'reload', 'reload').then(function () {
+          return false;
+        });
+      },
+      function (error) {
+        self.logger.error('Screen: socket lookup failed in reload "' + error.message + '"');
+        return false;
+      }
+    ).fail(function () {
+      return false;
+    });
+  };
+
+  /**
+   * Send debug command to the screen to change the verbosity of its logging.
+   *
+   * The command is not queued, as the screen starts with its default
+   * verbosity when it connects.
+   *
+   * @param enabled
+   *   Whether debug logging should be on.
+   *
+   * @returns {*}
+   *   Promise that resolves with true if the command was sent else false.
+   */
+  Screen.prototype.debug = function debug(enabled) {
+    var self = this;
+
+    return self.socket.get(self.apikey, self.id).then(
+      function (socket) {
+        if (!socket) {
+          return false;
+        }
+
+        socket.emit('debug', { "enabled": enabled });
+        return true;
+      },
+      function (error) {
+        self.logger.error('Screen: socket lookup failed in debug "' + error.message + '"');
+        return false;
+      }
+    );
+  };
+
+  /**
+   * Send screenshot command to the screen.
+   *
+   * The screen uploads the screenshot when it's taken. The command is not
+   * queued, as a screenshot is only useful right away.
+   *
+   * @returns {*}
+   *   Promise that resolves with true if the command was sent else false.
+   */
+  Screen.prototype.screenshot = function screenshot() {
+    var self = this;
+
+    return self.socket.get(self.apikey, self.id).then(
+      function (socket) {
+        if (!socket) {
+          return false;
+        }
 
-    return false;
+        socket.emit('screenshot');
+        return true;
+      },
+      function (error) {
+        self.logger.error('Screen: socket lookup failed in screenshot "' + error.message + '"');
+        return false;
+      }
+    );
   };
 
   // This plugin extends the server plugin and do not provide new services.
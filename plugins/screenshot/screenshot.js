@@ -0,0 +1,294 @@
+/**
+ * @file
+ * Keeps the latest screenshots uploaded by the screens.
+ *
+ * The screens take a screenshot when they get the "screenshot" command and
+ * upload it over the socket or the API. The images are kept (base64 encoded)
+ * in a capped list per screen, newest first, and the latest of each screen is
+ * described in a hash, so it can be found without loading the images.
+ */
+
+// Image types accepted.
+var TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+/**
+ * Define the Screenshot object (constructor).
+ *
+ * @param cache
+ *   The cache to store the screenshots in.
+ * @param logger
+ *   The event logger.
+ * @param keep
+ *   Number of screenshots kept for each screen.
+ * @param maxSize
+ *   Max size of an image in bytes.
+ */
+var Screenshot = function Screenshot(cache, logger, keep, maxSize) {
+  "use strict";
+
+  this.cache = cache;
+  this.logger = logger;
+  this.keep = keep;
+  this.maxSize = maxSize;
+};
+
+/**
+ * Get the key of the list with the screenshots of a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ *
+ * @returns {string}
+ */
+function listKey(apikey, screenID) {
+  "use strict";
+
+  return 'screenshot:' + apikey + ':' + screenID;
+}
+
+/**
+ * Get the key of the hash describing the latest screenshot of each screen.
+ *
+ * @param apikey
+ *   The API key the screens belongs to.
+ *
+ * @returns {string}
+ */
+function latestKey(apikey) {
+  "use strict";
+
+  return 'screenshot:' + apikey;
+}
+
+/**
+ * Describe a screenshot without the image.
+ *
+ * @param entry
+ *   The stored screenshot.
+ *
+ * @returns {object}
+ *   The "id", "time", "type" and "size" (bytes).
+ */
+function describe(entry) {
+  "use strict";
+
+  return {
+    "id": entry.id,
+    "time": entry.time,
+    "type": entry.type,
+    "size": entry.size
+  };
+}
+
+/**
+ * Decode an image sent as a data url (e.g. from canvas.toDataURL()).
+ *
+ * @param url
+ *   The data url.
+ *
+ * @returns {*}
+ *   Object with the image "type" and "data" (Buffer) or null if it's not a
+ *   base64 encoded data url.
+ */
+Screenshot.prototype.decode = function decode(url) {
+  "use strict";
+
+  var match = typeof url === 'string' ? /^data:([a-z\/]+);base64,(.*)$/.exec(url) : null;
+  if (match === null) {
+    return null;
+  }
+
+  return {
+    "type": match[1],
+    "data": Buffer.from(match[2], 'base64')
+  };
+};
+
+/**
+ * Validate an image.
+ *
+ * @param type
+ *   The image type.
+ * @param data
+ *   The image (Buffer).
+ *
+ * @returns {*}
+ *   Error message or null if the image is valid.
+ */
+Screenshot.prototype.validate = function validate(type, data) {
+  "use strict";
+
+  if (TYPES.indexOf(type) === -1) {
+    return 'The image type should be one of ' + TYPES.join(', ') + '.';
+  }
+  if (!data || !data.length) {
+    return 'The image is empty.';
+  }
+  if (data.length > this.maxSize) {
+    return 'The image should be at most ' + this.maxSize + ' bytes.';
+  }
+
+  return null;
+};
+
+/**
+ * Add a screenshot uploaded by a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ * @param type
+ *   The validated image type.
+ * @param data
+ *   The validated image (Buffer).
+ *
+ * @returns {*}
+ *   Promise that resolves with the description of the screenshot.
+ */
+Screenshot.prototype.add = function add(apikey, screenID, type, data) {
+  "use strict";
+
+  var self = this;
+  var key = listKey(apikey, screenID);
+
+  return self.cache.increment('screenshot:seq').then(function (id) {
+    var entry = {
+      "id": String(id),
+      "time": Math.round((new Date()).getTime() / 1000),
+      "type": type,
+      "size": data.length,
+      "data": data.toString('base64')
+    };
+
+    return self.cache.batch([
+      ['lpush', key, JSON.stringify(entry)],
+      ['ltrim', key, 0, self.keep - 1],
+      ['hset', latestKey(apikey), String(screenID), JSON.stringify(describe(entry))]
+    ]).then(function () {
+      self.logger.info('Screenshot: "' + entry.id + '" saved for "' + apikey + ':' + screenID + '".');
+
+      return describe(entry);
+    });
+  });
+};
+
+/**
+ * Get the screenshots kept for a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ *
+ * @returns {*}
+ *   Promise that resolves with the screenshots (newest first), each
+ *   described with the image as data url ("url").
+ */
+Screenshot.prototype.list = function list(apikey, screenID) {
+  "use strict";
+
+  return this.cache.listRange(listKey(apikey, screenID), 0, -1).then(function (entries) {
+    return (entries || []).map(function (entry) {
+      entry = JSON.parse(entry);
+
+      var result = describe(entry);
+      result.url = 'data:' + entry.type + ';base64,' + entry.data;
+
+      return result;
+    });
+  });
+};
+
+/**
+ * Get a screenshot of a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ * @param id
+ *   Id of the screenshot or "latest".
+ *
+ * @returns {*}
+ *   Promise that resolves with the image "type" and "data" (Buffer) or null
+ *   if it's not kept.
+ */
+Screenshot.prototype.get = function get(apikey, screenID, id) {
+  "use strict";
+
+  var range = id === 'latest' ? 0 : -1;
+
+  return this.cache.listRange(listKey(apikey, screenID), 0, range).then(function (entries) {
+    for (var i = 0; i < (entries || []).length; i++) {
+      var entry = JSON.parse(entries[i]);
+      if (id === 'latest' || entry.id === String(id)) {
+        return {
+          "type": entry.type,
+          "data": Buffer.from(entry.data, 'base64')
+        };
+      }
+    }
+
+    return null;
+  });
+};
+
+/**
+ * Get the latest screenshot of the screens under an API key.
+ *
+ * @param apikey
+ *   The API key the screens belongs to.
+ *
+ * @returns {*}
+ *   Promise that resolves with an object keyed by screen id with the
+ *   description of the latest screenshot.
+ */
+Screenshot.prototype.latest = function latest(apikey) {
+  "use strict";
+
+  return this.cache.hashGetAll(latestKey(apikey)).then(function (hash) {
+    var result = {};
+    for (var id in hash) {
+      result[id] = JSON.parse(hash[id]);
+    }
+
+    return result;
+  });
+};
+
+/**
+ * Remove the screenshots of a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenID
+ *   Id of the screen.
+ *
+ * @returns {*}
+ *   Promise that resolves when the screenshots have been removed.
+ */
+Screenshot.prototype.remove = function remove(apikey, screenID) {
+  "use strict";
+
+  return this.cache.batch([
+    ['del', listKey(apikey, screenID)],
+    ['hdel', latestKey(apikey), String(screenID)]
+  ]);
+};
+
+/**
+ * Register the plugin with architect.
+ */
+module.exports = function (options, imports, register) {
+  "use strict";
+
+  var screenshot = new Screenshot(imports.cache, imports.logger, options.keep || 5, options.maxSize || 2097152);
+
+  // Register the plugin with the system.
+  register(null, {
+    "screenshot": screenshot
+  });
+};
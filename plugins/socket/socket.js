@@ -9,9 +9,110 @@ var sio;
 // Load JWT to handle secure auth.
 var jwt = require("socketio-jwt");
 
-// Book keeper of active socket connections.
+// Load promise library.
+var Q = require('q');
+
+// Book keeper of active socket connections on this node.
 var sockets = {};
 
+// Seconds a node is considered alive after its last sign of life.
+var NODE_TTL = 30;
+
+// Callbacks waiting for acknowledgements from screens on other nodes and the
+// id of the next one.
+var acks = {};
+var nextAck = 1;
+
+// Milliseconds to wait for an acknowledgement from another node.
+var ACK_TTL = 60000;
+
+/**
+ * Socket connected to another node.
+ *
+ * Has the parts of the socket.io socket used by the other plugins.
+ *
+ * @param socketIO
+ *   The SocketIO object.
+ * @param key
+ *   The socket key (apikey:id).
+ * @param presence
+ *   The registration from the cache with the node and handshake query.
+ *
+ * @constructor
+ */
+var RemoteSocket = function RemoteSocket(socketIO, key, presence) {
+  "use strict";
+
+  this.socketIO = socketIO;
+  this.key = key;
+  this.node = presence.node;
+  this.handshake = {
+    "query": presence.query
+  };
+};
+
+/**
+ * Send command to the node the socket is connected to.
+ *
+ * @param type
+ *   The command type ("emit" or "disconnect").
+ * @param args
+ *   The command arguments.
+ */
+RemoteSocket.prototype.send = function send(type, args) {
+  "use strict";
+
+  var self = this;
+  var message = {
+    "from": self.socketIO.node,
+    "key": self.key,
+    "type": type,
+    "args": args
+  };
+
+  // Functions can not be send, so the acknowledgement callback is kept here
+  // until the other node sends the acknowledgement back.
+  if (args.length && typeof args[args.length - 1] === 'function') {
+    var id = nextAck++;
+    acks[id] = {
+      "callback": args.pop(),
+      "timer": setTimeout(function () {
+        delete acks[id];
+      }, ACK_TTL)
+    };
+    message.ack = id;
+  }
+
+  self.socketIO.publish(self.node, message).then(
+    function (receivers) {
+      if (!receivers) {
+        self.socketIO.logger.error('Socket: node "' + self.node + '" did not receive "' + type + '" for "' + self.key + '".');
+      }
+    },
+    function (error) {
+      self.socketIO.logger.error('Socket: "' + type + '" for "' + self.key + '" could not be send: ' + error.message);
+    }
+  );
+};
+
+/**
+ * Emit event to the socket.
+ */
+RemoteSocket.prototype.emit = function emit() {
+  "use strict";
+
+  this.send('emit', Array.prototype.slice.call(arguments));
+};
+
+/**
+ * Disconnect the socket.
+ */
+RemoteSocket.prototype.disconnect = function disconnect() {
+  "use strict";
+
+  this.send('disconnect', []);
+};
+
 /**
  * Default constructor.
  *
@@ -19,10 +120,22 @@ var sockets = {};
  *   The http server to attached socket.io.
  * @param secret
  *   The secret key decode security token.
+ * @param cache
+ *   The cache used to share connections between nodes.
+ * @param logger
+ *   The event logger.
+ * @param node
+ *   Id of this node (middleware instance).
  */
-var SocketIO = function(server, secret) {
+var SocketIO = function(server, secret, cache, logger, node) {
   "use strict";
 
+  var self = this;
+
+  this.cache = cache;
+  this.logger = logger;
+  this.node = node;
+
   // Get socket.io started.
   sio = require('socket.io')(server);
 
@@ -31,6 +144,20 @@ var SocketIO = function(server, secret) {
     secret: secret,
     handshake: true
   }));
+
+  // Handle commands from other nodes to sockets connected to this node.
+  cache.subscribe('socket:node:' + node, function (message) {
+    self.handleMessage(JSON.parse(message));
+  });
+
+  // Tell the other nodes that this node is alive.
+  function alive() {
+    cache.setExpire('socket:alive:' + node, Math.round((new Date()).getTime() / 1000), NODE_TTL).fail(function (error) {
+      logger.error('Socket: node alive could not be updated: ' + error.message);
+    });
+  }
+  alive();
+  this.aliveTimer = setInterval(alive, NODE_TTL * 1000 / 3);
 };
 
 /**
@@ -60,6 +187,8 @@ SocketIO.prototype.emit = function emit(eventName, data, callback) {
 /**
  * Add active socket connection.
  *
+ * The connection is registered in the cache, so other nodes can find it.
+ *
  * @param key
  *   Key to store the socket under.
  * @param socket
@@ -68,7 +197,22 @@ SocketIO.prototype.emit = function emit(eventName, data, callback) {
 SocketIO.prototype.add = function add(key, socket) {
   "use strict";
 
+  var self = this;
+
   sockets[key] = socket;
+
+  // Only the screen's uuid and capabilities are needed by the other nodes
+  // (the query also holds the token).
+  var presence = {
+    "node": self.node,
+    "query": {
+      "uuid": socket.handshake.query.uuid,
+      "capabilities": socket.handshake.query.capabilities
+    }
+  };
+  self.cache.set('socket:' + key, JSON.stringify(presence)).fail(function (error) {
+    self.logger.error('Socket: connection "' + key + '" could not be registered: ' + error.message);
+  });
 };
 
 /**
@@ -76,12 +220,31 @@ SocketIO.prototype.add = function add(key, socket) {
  *
  * @param key
  *   Key to remove the socket under.
+ * @param socket
+ *   (Optional) Only remove the connection if it is this socket. Used when a
+ *   socket disconnects after the screen have re-connected.
+ *
+ * @returns {boolean}
+ *   True if the connection was removed else false.
  */
-SocketIO.prototype.remove = function remove(key) {
+SocketIO.prototype.remove = function remove(key, socket) {
   "use strict";
 
-  if (sockets.hasOwnProperty(key)) {
+  var self = this;
+
+  if (sockets.hasOwnProperty(key) && (socket === undefined || sockets[key] === socket)) {
     delete sockets[key];
+
+    // Only remove the registration if the screen have not connected to
+    // another node in the mean time.
+    self.cache.get('socket:' + key).then(function (res) {
+      if (res !== null && JSON.parse(res).node === self.node) {
+        return self.cache.remove('socket:' + key);
+      }
+    }).fail(function (error) {
+      self.logger.error('Socket: connection "' + key + '" could not be unregistered: ' + error.message);
+    });
+
     return true;
   }
 
@@ -91,26 +254,125 @@ SocketIO.prototype.remove = function remove(key) {
 /**
  * Get socket connection from apikey and client id.
  *
+ * Screens connected to other nodes are represented by a RemoteSocket that
+ * sends the commands to the node through the cache.
+ *
  * @param apikey
  *   API key for client.
  * @param id
  *   Client ID.
  *
  * @returns {*}
- *   Socket connection or false if not connected.
+ *   Promise that resolves with the socket connection or false if the screen
+ *   is not connected to any node.
  */
 SocketIO.prototype.get = function get(apikey, id) {
   "use strict";
 
+  var self = this;
+
   // Create key to store socket under.
   var key = apikey + ':' + id;
 
   // Check if key exists.
   if (sockets.hasOwnProperty(key)) {
-    return sockets[key];
+    return Q.resolve(sockets[key]);
   }
 
-  return false;
+  return self.cache.get('socket:' + key).then(function (res) {
+    if (res === null) {
+      return false;
+    }
+
+    var presence = JSON.parse(res);
+    if (presence.node === self.node) {
+      // Left behind by an earlier run of this node.
+      return false;
+    }
+
+    // Check that the node is still running.
+    return self.cache.get('socket:alive:' + presence.node).then(function (alive) {
+      return alive === null ? false : new RemoteSocket(self, key, presence);
+    });
+  });
+};
+
+/**
+ * Execute command send from another node.
+ *
+ * @param message
+ *   The command with the socket key, type and event arguments.
+ */
+SocketIO.prototype.handleMessage = function handleMessage(message) {
+  "use strict";
+
+  // Acknowledgement of an event emitted from this node.
+  if (message.type === 'ack') {
+    if (acks.hasOwnProperty(message.ack)) {
+      var ack = acks[message.ack];
+      delete acks[message.ack];
+      clearTimeout(ack.timer);
+      ack.callback.apply(null, message.args);
+    }
+    return;
+  }
+
+  if (!sockets.hasOwnProperty(message.key)) {
+    this.logger.info('Socket: "' + message.type + '" for "' + message.key + '" from node "' + message.from + '" ignored as it is not connected.');
+    return;
+  }
+
+  var self = this;
+  var socket = sockets[message.key];
+  switch (message.type) {
+    case 'emit':
+      var args = message.args;
+      if (message.ack !== undefined) {
+        // Send the acknowledgement back to the node that emitted the event.
+        args = args.concat([function () {
+          self.publish(message.from, {
+            "from": self.node,
+            "key": message.key,
+            "type": 'ack',
+            "ack": message.ack,
+            "args": Array.prototype.slice.call(arguments)
+          });
+        }]);
+      }
+      socket.emit.apply(socket, args);
+      break;
+
+    case 'disconnect':
+      socket.disconnect();
+      break;
+  }
+};
+
+/**
+ * Send a message to another node.
+ *
+ * @param node
+ *   Id of the node.
+ * @param message
+ *   The message object.
+ *
+ * @returns {*}
+ *   Promise that resolves with the number of nodes that received the message.
+ */
+SocketIO.prototype.publish = function publish(node, message) {
+  "use strict";
+
+  return this.cache.publish('socket:node:' + node, JSON.stringify(message));
+};
+
+/**
+ * Stop announcing this node as alive.
+ */
+SocketIO.prototype.close = function close() {
+  "use strict";
+
+  clearInterval(this.aliveTimer);
+  this.cache.remove('socket:alive:' + this.node);
 };
 
 /**
@@ -122,8 +384,11 @@ module.exports = function (options, imports, register) {
   // Get logger.
   var logger = imports.logger;
 
+  // Id of this node, used when more instances share the cache.
+  var node = options.node || require('os').hostname() + ':' + process.pid;
+
   // Ensure that only one socket server exists.
-  var socketIO = new SocketIO(imports.server, options.secret);
+  var socketIO = new SocketIO(imports.server, options.secret, imports.cache, logger, node);
 
   // Listen to connections an store socket.
   socketIO.on('connection', function (socket) {
@@ -151,6 +416,7 @@ module.exports = function (options, imports, register) {
   // Register exposed function with architect.
   register(null, {
     onDestruct: function (callback) {
+      socketIO.close();
       imports.server.close(callback);
       imports.logger.debug('Express server stopped');
     },
@@ -0,0 +1,298 @@
+/**
+ * @file
+ * Collects proof-of-play statistics reported by the screens.
+ *
+ * Play events are aggregated per screen, channel and hour, so only the number
+ * of plays and the total duration is stored.
+ */
+
+var Q = require('q');
+
+// Seconds in an hour.
+var HOUR = 3600;
+
+// Max number of hours that can be queried at once (a year).
+var MAX_HOURS = 8784;
+
+/**
+ * Define the Stats object (constructor).
+ *
+ * @param cache
+ *   The cache to store statistics in.
+ * @param logger
+ *   The event logger.
+ * @param retention
+ *   Number of days the statistics are kept.
+ */
+var Stats = function Stats(cache, logger, retention) {
+  "use strict";
+
+  this.cache = cache;
+  this.logger = logger;
+  this.retention = retention;
+};
+
+/**
+ * Get the key of the hash with the statistics for an hour.
+ *
+ * @param apikey
+ *   The API key the statistics belongs to.
+ * @param hour
+ *   Unix timestamp of the start of the hour.
+ *
+ * @returns {string}
+ */
+function hourKey(apikey, hour) {
+  "use strict";
+
+  return 'stats:' + apikey + ':' + hour;
+}
+
+/**
+ * Get the current unix timestamp.
+ *
+ * @returns {number}
+ */
+function now() {
+  "use strict";
+
+  return Math.round((new Date()).getTime() / 1000);
+}
+
+/**
+ * Validate play events.
+ *
+ * Each event should have the "channel" played and the "duration" (seconds) it
+ * was played. The "time" (unix timestamp) it started defaults to now and
+ * "slide" is optional.
+ *
+ * @param events
+ *   Array of play events.
+ *
+ * @returns {*}
+ *   Error message or null if the events are valid.
+ */
+Stats.prototype.validate = function validate(events) {
+  "use strict";
+
+  if (!Array.isArray(events)) {
+    return 'Events should be an array.';
+  }
+
+  for (var i = 0; i < events.length; i++) {
+    var event = events[i];
+    if (event === null || typeof event !== 'object') {
+      return 'Event ' + i + ' should be an object.';
+    }
+    if (event.channel === undefined || event.channel === null) {
+      return 'Event ' + i + ' is missing "channel".';
+    }
+    if (typeof event.duration !== 'number' || event.duration < 0) {
+      return 'Event ' + i + ' should have a "duration" (seconds, zero or more).';
+    }
+    if (event.time !== undefined && (typeof event.time !== 'number' || event.time < 0)) {
+      return 'Event ' + i + ' should have "time" as an unix timestamp.';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate the period of a statistics query.
+ *
+ * @param filter
+ *   Object with optional "from" and "to" (unix timestamps).
+ *
+ * @returns {*}
+ *   Error message or null if the period is valid.
+ */
+Stats.prototype.validatePeriod = function validatePeriod(filter) {
+  "use strict";
+
+  if (filter.from !== undefined && !isFinite(filter.from)) {
+    return '"from" should be an unix timestamp.';
+  }
+  if (filter.to !== undefined && !isFinite(filter.to)) {
+    return '"to" should be an unix timestamp.';
+  }
+
+  var to = filter.to !== undefined ? filter.to : now();
+  var from = filter.from !== undefined ? filter.from : to - 24 * HOUR;
+  if (from > to) {
+    return '"from" can not be after "to".';
+  }
+  if (Math.floor(to / HOUR) - Math.floor(from / HOUR) + 1 > MAX_HOURS) {
+    return 'The period can not be longer than ' + MAX_HOURS + ' hours.';
+  }
+
+  return null;
+};
+
+/**
+ * Record play events for a screen.
+ *
+ * @param apikey
+ *   The API key the screen belongs to.
+ * @param screenId
+ *   Id of the screen.
+ * @param events
+ *   Array of validated play events.
+ *
+ * @returns {*}
+ *   Promise that resolves when the events have been recorded.
+ */
+Stats.prototype.record = function record(apikey, screenId, events) {
+  "use strict";
+
+  var self = this;
+  var commands = [];
+  var keys = {};
+
+  events.forEach(function (event) {
+    var time = event.time !== undefined ? event.time : now();
+    var key = hourKey(apikey, Math.floor(time / HOUR) * HOUR);
+    var field = JSON.stringify([String(screenId), String(event.channel)]);
+
+    commands.push(['hincrby', key, field + ':plays', 1]);
+    commands.push(['hincrby', key, field + ':duration', Math.round(event.duration)]);
+    keys[key] = true;
+  });
+
+  // Remove the statistics after the retention period.
+  Object.keys(keys).forEach(function (key) {
+    commands.push(['expire', key, self.retention * 86400]);
+  });
+
+  return self.cache.batch(commands).then(function (results) {
+    for (var i = 0; i < results.length; i++) {
+      if (results[i] instanceof Error) {
+        throw results[i];
+      }
+    }
+  }).fail(function (err) {
+    self.logger.error('Stats: play events for "' + apikey + ':' + screenId + '" could not be recorded (' + err.message + ').');
+    throw err;
+  });
+};
+
+/**
+ * Query the statistics.
+ *
+ * @param apikey
+ *   The API key to get statistics for.
+ * @param filter
+ *   Object with optional "from" and "to" (unix timestamps, default the last
+ *   24 hours), "screen" and "channel" ids.
+ *
+ * @returns {*}
+ *   Promise that resolves with an array of rows with "hour" (unix
+ *   timestamp), "screen", "channel", "plays" and "duration" (seconds) ordered
+ *   by hour.
+ */
+Stats.prototype.query = function query(apikey, filter) {
+  "use strict";
+
+  var message = this.validatePeriod(filter);
+  if (message !== null) {
+    return Q.reject(new Error('Stats: ' + message));
+  }
+
+  var to = filter.to !== undefined ? filter.to : now();
+  var from = filter.from !== undefined ? filter.from : to - 24 * HOUR;
+
+  var hours = [];
+  for (var hour = Math.floor(from / HOUR) * HOUR; hour <= to; hour += HOUR) {
+    hours.push(hour);
+  }
+
+  return this.cache.batch(hours.map(function (hour) {
+    return ['hgetall', hourKey(apikey, hour)];
+  })).then(function (hashes) {
+    var rows = [];
+
+    for (var i = 0; i < hours.length; i++) {
+      if (hashes[i] instanceof Error) {
+        throw hashes[i];
+      }
+
+      // Group the counters by screen and channel.
+      var found = {};
+      for (var field in hashes[i]) {
+        var index = field.lastIndexOf(':');
+        var ids = field.substr(0, index);
+        if (!found.hasOwnProperty(ids)) {
+          var parsed = JSON.parse(ids);
+          found[ids] = {
+            "hour": hours[i],
+            "screen": parsed[0],
+            "channel": parsed[1],
+            "plays": 0,
+            "duration": 0
+          };
+        }
+        found[ids][field.substr(index + 1)] = parseInt(hashes[i][field], 10);
+      }
+
+      for (var key in found) {
+        var row = found[key];
+        if ((filter.screen === undefined || row.screen === String(filter.screen)) &&
+          (filter.channel === undefined || row.channel === String(filter.channel))) {
+          rows.push(row);
+        }
+      }
+    }
+
+    return rows;
+  });
+};
+
+/**
+ * Format statistics rows as CSV.
+ *
+ * @param rows
+ *   The rows from query().
+ *
+ * @returns {string}
+ */
+Stats.prototype.toCSV = function toCSV(rows) {
+  "use strict";
+
+  /**
+   * Quote value if needed.
+   */
+  function quote(value) {
+    value = String(value);
+    if (/[",\n]/.test(value)) {
+      value = '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+  }
+
+  var lines = ['hour,screen,channel,plays,duration'];
+  rows.forEach(function (row) {
+    lines.push([
+      new Date(row.hour * 1000).toISOString(),
+      quote(row.screen),
+      quote(row.channel),
+      row.plays,
+      row.duration
+    ].join(','));
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Register the plugin with architect.
+ */
+module.exports = function (options, imports, register) {
+  "use strict";
+
+  var stats = new Stats(imports.cache, imports.logger, options.retention || 90);
+
+  // Register the plugin with the system.
+  register(null, {
+    "stats": stats
+  });
+};
@@ -0,0 +1,208 @@
+/**
+ * @file
+ * Validates the API request bodies against JSON Schemas.
+ *
+ * The schemas are in the "schemas" folder and named after the request they
+ * validate ("channel", "screen", "activation" and "groups"). API keys may
+ * extend the channel schema with a "dataSchema" in their configuration, which
+ * the channels "data" is validated against.
+ */
+
+var Ajv = require('ajv');
+var Q = require('q');
+
+// The request schemas.
+var SCHEMAS = ['channel', 'screen', 'activation', 'groups'];
+
+/**
+ * Define the Validator object (constructor).
+ *
+ * @param logger
+ *   The event logger.
+ * @param apikeys
+ *   API key object.
+ */
+var Validator = function Validator(logger, apikeys) {
+  "use strict";
+
+  var self = this;
+
+  this.logger = logger;
+  this.apikeys = apikeys;
+
+  this.ajv = new Ajv({
+    "allErrors": true,
+    "jsonPointers": true
+  });
+
+  this.schemas = {};
+  SCHEMAS.forEach(function (name) {
+    self.schemas[name] = self.ajv.compile(require(__dirname + '/schemas/' + name + '.json'));
+  });
+
+  // Compiled API key data schemas, keyed by the schema source.
+  this.dataSchemas = {};
+};
+
+/**
+ * Convert ajv errors into the fields and messages sent to the client.
+ *
+ * @param errors
+ *   The ajv errors.
+ * @param prefix
+ *   JSON Pointer to prefix the fields with.
+ *
+ * @returns {Array}
+ *   Objects with "field" (JSON Pointer) and "message".
+ */
+function format(errors, prefix) {
+  "use strict";
+
+  return (errors || []).map(function (error) {
+    var field = prefix + error.dataPath;
+
+    // Point at the property itself, not the object it's missing from.
+    if (error.keyword === 'required') {
+      field += '/' + error.params.missingProperty.replace(/^\//, '');
+    }
+
+    return {
+      "field": field,
+      "message": error.message
+    };
+  });
+}
+
+/**
+ * Get the compiled data schema of an API key.
+ *
+ * @param self
+ *   The validator object.
+ * @param apikey
+ *   The API key.
+ *
+ * @returns {*}
+ *   Promise that resolves with the validate function or null if the API key
+ *   has no (valid) data schema.
+ */
+function dataSchema(self, apikey) {
+  "use strict";
+
+  if (!apikey) {
+    return Q.when(null);
+  }
+
+  return self.apikeys.get(apikey).then(function (info) {
+    if (!info || !info.dataSchema) {
+      return null;
+    }
+
+    var source = JSON.stringify(info.dataSchema);
+    if (!self.dataSchemas.hasOwnProperty(source)) {
+      try {
+        self.dataSchemas[source] = self.ajv.compile(info.dataSchema);
+      }
+      catch (error) {
+        self.logger.error('Validator: invalid data schema for API key "' + apikey + '" "' + error.message + '"');
+        self.dataSchemas[source] = null;
+      }
+    }
+
+    return self.dataSchemas[source];
+  });
+}
+
+/**
+ * Validate a request body.
+ *
+ * @param name
+ *   Name of the schema ("channel", "screen" or "activation").
+ * @param body
+ *   The request body.
+ * @param apikey
+ *   (Optional) The API key whose data schema extends the channel schema.
+ *
+ * @returns {*}
+ *   Promise that resolves with an array of errors (empty if the body is
+ *   valid).
+ */
+Validator.prototype.validate = function validate(name, body, apikey) {
+  "use strict";
+
+  var self = this;
+  var schema = self.schemas[name];
+
+  if (!schema) {
+    return Q.reject(new Error('Unknown schema "' + name + '".'));
+  }
+
+  var errors = schema(body) ? [] : format(schema.errors, '');
+
+  // Only channel data can be extended, and only if it's an object.
+  if (name !== 'channel' || !body || body.data === null || typeof body.data !== 'object') {
+    return Q.when(errors);
+  }
+
+  return dataSchema(self, apikey).then(function (extension) {
+    if (extension && !extension(body.data)) {
+      errors = errors.concat(format(extension.errors, '/data'));
+    }
+
+    return errors;
+  });
+};
+
+/**
+ * Get an express middleware that validates the request body.
+ *
+ * Invalid requests are answered with 400 and a JSON body with a "message" and
+ * the "errors" (field and message) found. The API key is taken from the JWT
+ * profile, or the body when the route is not protected.
+ *
+ * @param name
+ *   Name of the schema.
+ *
+ * @returns {Function}
+ */
+Validator.prototype.middleware = function middleware(name) {
+  "use strict";
+
+  var self = this;
+
+  return function (req, res, next) {
+    var apikey = req.user ? req.user.apikey : (req.body ? req.body.apikey : undefined);
+
+    self.validate(name, req.body, apikey).then(
+      function (errors) {
+        if (errors.length) {
+          self.logger.error('Validator: invalid ' + name + ' request ' + JSON.stringify(errors));
+          res.status(400).json({
+            "message": 'Invalid ' + name + ' request.',
+            "errors": errors
+          });
+        }
+        else {
+          next();
+        }
+      },
+      function (error) {
+        self.logger.error('Validator: ' + error.message);
+        res.status(500).send(error.message);
+      }
+    );
+  };
+};
+
+/**
+ * Register the plugin with architect.
+ */
+module.exports = function (options, imports, register) {
+  "use strict";
+
+  var validator = new Validator(imports.logger, imports.apikeys);
+
+  // Register the plugin with the system.
+  register(null, {
+    "validator": validator
+  });
+};
@@ -52,6 +52,14 @@ app.config(['$routeProvider', '$locationProvider', '$httpProvider',
         templateUrl: 'views/status.html',
         controller: 'StatusController'
       })
+      .when('/broadcast', {
+        templateUrl: 'views/broadcast.html',
+        controller: 'BroadcastController'
+      })
+      .when('/logs/:apikey/:id', {
+        templateUrl: 'views/logs.html',
+        controller: 'LogsController'
+      })
       .when('/logout', {
         templateUrl: 'views/logout.html',
         controller: 'LogoutController'
@@ -312,6 +312,79 @@ app.controller('StatusController', ['$scope', '$window', '$location', 'ngOverlay
       );
     }
 
+    /**
+     * Load the events queued for screens that are not connected.
+     */
+    function getQueues() {
+      $scope.queues = {};
+
+      dataService.fetch('get', '/api/admin/keys').then(
+        function (data) {
+          $scope.apikeys = data;
+
+          for (var apikey in data) {
+            dataService.fetch('get', '/api/admin/status/queues/' +  apikey).then(
+              function (data) {
+                $scope.queues[data.apikey] = data.screens;
+              },
+              function (reason) {
+                $scope.message = reason.message;
+                $scope.messageClass = 'alert-danger';
+              }
+            );
+          }
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    }
+
+    /**
+     * Load the screen groups.
+     */
+    function getGroups() {
+      $scope.groups = {};
+
+      dataService.fetch('get', '/api/admin/keys').then(
+        function (data) {
+          $scope.apikeys = data;
+
+          for (var apikey in data) {
+            dataService.fetch('get', '/api/admin/' + apikey + '/groups').then(
+              function (data) {
+                $scope.groups[data.apikey] = data.groups;
+              },
+              function (reason) {
+                $scope.message = reason.message;
+                $scope.messageClass = 'alert-danger';
+              }
+            );
+          }
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    }
+
+    /**
+     * Load the state of the middleware's connection to the cache.
+     */
+    function getCacheStatus() {
+      dataService.fetch('get', '/api/admin/status/cache').then(
+        function (data) {
+          $scope.cache = data;
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    }
+
     /**
      * Return TRUE if timestamp is older than 10 min else FALSE.
      */
@@ -319,6 +392,23 @@ app.controller('StatusController', ['$scope', '$window', '$location', 'ngOverlay
       return timestamp < Math.round((new Date()).getTime() / 1000) - 900;
     };
 
+    /**
+     * Get how long the screen's player have been running.
+     *
+     * The uptime reported is counted from when the client information was
+     * saved.
+     */
+    $scope.uptime = function uptime(client) {
+      if (client.uptime === undefined) {
+        return '?';
+      }
+
+      var seconds = client.uptime + Math.round((new Date()).getTime() / 1000) - client.time;
+      var hours = Math.floor(seconds / 3600);
+
+      return hours >= 24 ? Math.floor(hours / 24) + 'd ' + (hours % 24) + 'h' : hours + 'h ' + Math.floor((seconds % 3600) / 60) + 'm';
+    };
+
     /**
      * Refresh heartbeats callback.
      */
@@ -326,6 +416,13 @@ app.controller('StatusController', ['$scope', '$window', '$location', 'ngOverlay
       getHeartbeats();
     };
 
+    /**
+     * Refresh cache status callback.
+     */
+    $scope.refreshCache = function refreshCache() {
+      getCacheStatus();
+    };
+
     /**
      * Refresh channels callback.
      */
@@ -333,6 +430,20 @@ app.controller('StatusController', ['$scope', '$window', '$location', 'ngOverlay
       getChannels();
     };
 
+    /**
+     * Refresh queues callback.
+     */
+    $scope.refreshQueues = function refreshQueues() {
+      getQueues();
+    };
+
+    /**
+     * Refresh groups callback.
+     */
+    $scope.refreshGroups = function refreshGroups() {
+      getGroups();
+    };
+
     /**
      * Reload screen.
      *
@@ -376,8 +487,482 @@ app.controller('StatusController', ['$scope', '$window', '$location', 'ngOverlay
       );
     };
 
+    /**
+     * Edit the groups of a screen.
+     *
+     * @param beat
+     *   The screen's heartbeat information.
+     * @param apikey
+     *   The API key to which the screen uses.
+     */
+    $scope.editGroups = function editGroups(beat, apikey) {
+      var scope = $scope.$new(true);
+
+      scope.screen = {
+        "title": beat.title,
+        "groups": (beat.groups || []).join(', ')
+      };
+
+      /**
+       * Save groups callback.
+       */
+      scope.save = function save() {
+        var groups = scope.screen.groups.split(',').map(function (name) {
+          return name.trim();
+        }).filter(function (name) {
+          return name !== '';
+        });
+
+        dataService.send('put', '/api/admin/' + apikey + '/screen/' + beat.id + '/groups', { "groups": groups }).then(
+          function (data) {
+            $scope.message = 'Groups of screen (' + beat.id + ') saved.';
+            $scope.messageClass = 'alert-success';
+            $scope.refreshBeats();
+            $scope.refreshGroups();
+
+            // Close overlay.
+            overlay.close();
+          },
+          function (reason) {
+            $scope.message = reason.message;
+            $scope.messageClass = 'alert-danger';
+          }
+        );
+      };
+
+      // Open the overlay.
+      var overlay = ngOverlay.open({
+        template: "views/screenGroups.html",
+        scope: scope
+      });
+    };
+
+    /**
+     * Show the screenshots of a screen.
+     *
+     * @param beat
+     *   The screen's heartbeat information.
+     * @param apikey
+     *   The API key to which the screen uses.
+     */
+    $scope.screenshots = function screenshots(beat, apikey) {
+      var scope = $scope.$new(true);
+      var uri = '/api/admin/' + apikey + '/screen/' + beat.id;
+
+      scope.screen = beat;
+      scope.screenshots = [];
+
+      /**
+       * Load the screenshots kept.
+       */
+      scope.refresh = function refresh() {
+        dataService.fetch('get', uri + '/screenshots').then(
+          function (data) {
+            scope.screenshots = data.screenshots;
+          },
+          function (reason) {
+            scope.message = reason.message;
+          }
+        );
+      };
+
+      /**
+       * Ask the screen to take a screenshot.
+       */
+      scope.take = function take() {
+        dataService.fetch('get', uri + '/screenshot').then(
+          function () {
+            scope.message = 'Sent screenshot message to the screen. Refresh to see the screenshot when it has been uploaded.';
+          },
+          function (reason) {
+            scope.message = reason.message;
+          }
+        );
+      };
+
+      scope.refresh();
+
+      // Open the overlay.
+      ngOverlay.open({
+        template: "views/screenshots.html",
+        scope: scope
+      });
+    };
+
+    /**
+     * Reload the screens in a group.
+     *
+     * @param name
+     *   Name of the group.
+     * @param apikey
+     *   The API key the group belongs to.
+     */
+    $scope.reloadGroup = function reloadGroup(name, apikey) {
+      dataService.fetch('get', '/api/admin/' + apikey + '/group/' + name + '/reload').then(
+        function (data) {
+          $scope.message = 'Sent reload message to the screens in group (' + name + ').';
+          $scope.messageClass = 'alert-success';
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    };
+
+    /**
+     * Logout the screens in a group.
+     *
+     * @param name
+     *   Name of the group.
+     * @param apikey
+     *   The API key the group belongs to.
+     */
+    $scope.logoutGroup = function logoutGroup(name, apikey) {
+      dataService.fetch('get', '/api/admin/' + apikey + '/group/' + name + '/logout').then(
+        function (data) {
+          $scope.message = 'Sent logout message to the screens in group (' + name + ').';
+          $scope.messageClass = 'alert-success';
+          $scope.refreshBeats();
+          $scope.refreshGroups();
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    };
+
     // Get the controller up and running.
+    getCacheStatus();
     getHeartbeats();
     getChannels();
+    getQueues();
+    getGroups();
+  }
+]);
+
+/**
+ * Broadcast page.
+ */
+app.controller('BroadcastController', ['$scope', '$window', '$location', 'ngOverlay', 'dataService',
+  function($scope, $window, $location, ngOverlay, dataService) {
+    "use strict";
+
+    // Check that the user is logged in.
+    if (!$window.sessionStorage.token) {
+      $location.path('');
+    }
+
+    $scope.apikeys = {};
+
+    /**
+     * Load the active broadcasts and the audit log.
+     */
+    function loadBroadcasts() {
+      dataService.fetch('get', '/api/admin/broadcasts').then(
+        function (data) {
+          $scope.broadcasts = data;
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+
+      dataService.fetch('get', '/api/admin/broadcasts/audit').then(
+        function (data) {
+          $scope.audit = data;
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    }
+
+    /**
+     * Get the names of the installations targeted.
+     */
+    $scope.targetNames = function targetNames(apikeys) {
+      if (!apikeys) {
+        return 'All';
+      }
+
+      return apikeys.map(function (apikey) {
+        return $scope.apikeys.hasOwnProperty(apikey) ? $scope.apikeys[apikey].name : apikey;
+      }).join(', ');
+    };
+
+    /**
+     * Refresh broadcasts callback.
+     */
+    $scope.refresh = function refresh() {
+      loadBroadcasts();
+    };
+
+    /**
+     * Clear broadcast.
+     */
+    $scope.clear = function clear(broadcast) {
+      var scope = $scope.$new(true);
+
+      scope.title = 'Clear broadcast';
+      scope.message = 'Clear the broadcast "' + broadcast.title + '" and remove it from the screens.';
+      scope.okText = 'Clear';
+
+      scope.confirmed = function confirmed() {
+        dataService.fetch('delete', '/api/admin/broadcast/' + broadcast.id).then(
+          function (data) {
+            $scope.message = data;
+            $scope.messageClass = 'alert-success';
+
+            loadBroadcasts();
+
+            // Close overlay.
+            overlay.close();
+          },
+          function (reason) {
+            $scope.message = reason.message;
+            $scope.messageClass = 'alert-danger';
+          }
+        );
+      };
+
+      // Open the overlay.
+      var overlay = ngOverlay.open({
+        template: "views/confirm.html",
+        scope: scope
+      });
+    };
+
+    /**
+     * New broadcast callback.
+     */
+    $scope.add = function add() {
+      var scope = $scope.$new(true);
+
+      scope.apikeys = $scope.apikeys;
+      scope.broadcast = {
+        "title": '',
+        "text": '',
+        "apikey": '',
+        "screens": '',
+        "groups": '',
+        "minutes": 60
+      };
+
+      /**
+       * Send broadcast callback.
+       */
+      scope.save = function save() {
+        var broadcast = {
+          "title": scope.broadcast.title,
+          "data": {
+            "title": scope.broadcast.title,
+            "message": scope.broadcast.text
+          },
+          "ttl": scope.broadcast.minutes * 60
+        };
+
+        if (scope.broadcast.apikey) {
+          broadcast.apikeys = [scope.broadcast.apikey];
+
+          if (scope.broadcast.screens) {
+            broadcast.screens = scope.broadcast.screens.split(',').map(function (id) {
+              return id.trim();
+            });
+          }
+
+          if (scope.broadcast.groups) {
+            broadcast.groups = scope.broadcast.groups.split(',').map(function (name) {
+              return name.trim();
+            });
+          }
+        }
+
+        dataService.send('post', '/api/admin/broadcast', broadcast).then(
+          function (data) {
+            $scope.message = 'Broadcast "' + data.id + '" sent.';
+            $scope.messageClass = 'alert-success';
+
+            loadBroadcasts();
+
+            // Close overlay.
+            overlay.close();
+          },
+          function (reason) {
+            $scope.message = reason.message;
+            $scope.messageClass = 'alert-danger';
+          }
+        );
+      };
+
+      // Open the overlay.
+      var overlay = ngOverlay.open({
+        template: "views/broadcastAdd.html",
+        scope: scope
+      });
+    };
+
+    // Get the controller up and running.
+    dataService.fetch('get', '/api/admin/keys').then(
+      function (data) {
+        $scope.apikeys = data;
+      },
+      function (reason) {
+        $scope.message = reason.message;
+        $scope.messageClass = 'alert-danger';
+      }
+    );
+    loadBroadcasts();
+  }
+]);
+
+/**
+ * Screen logs page.
+ */
+app.controller('LogsController', ['$scope', '$window', '$location', '$routeParams', 'dataService',
+  function($scope, $window, $location, $routeParams, dataService) {
+    "use strict";
+
+    // Check that the user is logged in.
+    if (!$window.sessionStorage.token) {
+      $location.path('');
+    }
+
+    // Max number of entries displayed.
+    var max = 200;
+
+    var uri = '/api/admin/' + $routeParams.apikey + '/screen/' + $routeParams.id;
+    var source = null;
+
+    $scope.apikey = $routeParams.apikey;
+    $scope.screenId = $routeParams.id;
+    $scope.apikeys = {};
+    $scope.entries = [];
+    $scope.live = false;
+
+    /**
+     * Load the latest log entries.
+     */
+    function loadEntries() {
+      dataService.fetch('get', uri + '/logs?count=' + max).then(
+        function (data) {
+          $scope.entries = data.entries;
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    }
+
+    /**
+     * Stop following the log entries.
+     */
+    function stopLive() {
+      if (source !== null) {
+        source.close();
+        source = null;
+      }
+      $scope.live = false;
+    }
+
+    /**
+     * Refresh entries callback.
+     */
+    $scope.refresh = function refresh() {
+      loadEntries();
+    };
+
+    /**
+     * Start or stop following the entries as the screen sends them.
+     */
+    $scope.toggleLive = function toggleLive() {
+      if ($scope.live) {
+        stopLive();
+        return;
+      }
+
+      $scope.live = true;
+      dataService.fetch('post', uri + '/logs/ticket').then(
+        function (data) {
+          // Stopped while waiting for the ticket.
+          if (!$scope.live) {
+            return;
+          }
+
+          source = new EventSource(uri + '/logs/stream?ticket=' + data.ticket);
+          source.onmessage = function (event) {
+            var entries = JSON.parse(event.data);
+            $scope.$apply(function () {
+              $scope.entries = entries.reverse().concat($scope.entries).slice(0, max);
+            });
+          };
+          source.onerror = function () {
+            $scope.$apply(function () {
+              $scope.message = 'The live log connection was lost.';
+              $scope.messageClass = 'alert-danger';
+              stopLive();
+            });
+          };
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+          stopLive();
+        }
+      );
+    };
+
+    /**
+     * Turn debug logging on or off on the screen.
+     *
+     * @param enabled
+     *   Whether debug logging should be on.
+     */
+    $scope.debug = function debug(enabled) {
+      dataService.fetch('get', uri + '/debug/' + (enabled ? 'on' : 'off')).then(
+        function () {
+          $scope.message = 'Sent debug ' + (enabled ? 'on' : 'off') + ' message to screen (' + $scope.screenId + ').';
+          $scope.messageClass = 'alert-success';
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    };
+
+    /**
+     * Remove the log entries.
+     */
+    $scope.clear = function clear() {
+      dataService.fetch('delete', uri + '/logs').then(
+        function () {
+          $scope.entries = [];
+        },
+        function (reason) {
+          $scope.message = reason.message;
+          $scope.messageClass = 'alert-danger';
+        }
+      );
+    };
+
+    // Close the live connection when leaving the page.
+    $scope.$on('$destroy', stopLive);
+
+    // Get the controller up and running.
+    dataService.fetch('get', '/api/admin/keys').then(
+      function (data) {
+        $scope.apikeys = data;
+      },
+      function (reason) {
+        $scope.message = reason.message;
+        $scope.messageClass = 'alert-danger';
+      }
+    );
+    loadEntries();
   }
 ]);